@@ -0,0 +1,199 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {getCollection} from './utils.js';
+import {logger} from './logger.js';
+import {randomUUID} from 'node:crypto';
+
+const {util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'profile-audit';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'event.id': 1},
+    options: {unique: true}
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {'event.date': 1, 'event.id': 1},
+    options: {unique: false}
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {'event.profile': 1, 'event.date': 1, 'event.id': 1},
+    options: {
+      partialFilterExpression: {'event.profile': {$exists: true}},
+      unique: false
+    }
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {'event.account': 1, 'event.date': 1, 'event.id': 1},
+    options: {
+      partialFilterExpression: {'event.account': {$exists: true}},
+      unique: false
+    }
+  }]);
+});
+
+/**
+ * Appends an event to the audit log and emits it via `bedrock.events` as
+ * `bedrock-profile.<type>`, e.g., `bedrock-profile.profileAgent.created`,
+ * with `{event}` as its data.
+ *
+ * If the event cannot be stored, an `OperationError` is thrown so that the
+ * caller knows the audited operation, which has already been performed, was
+ * not recorded; the event is then not emitted. Failures to emit the event are
+ * logged but not thrown.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.type - The type of event, e.g.,
+ *   `profileAgent.created`.
+ * @param {string} [options.profileId] - The ID of the related profile.
+ * @param {string} [options.accountId] - The ID of the related account.
+ * @param {string} [options.profileAgentId] - The ID of the related profile
+ *   agent.
+ * @param {string} [options.actor] - The ID of the entity that performed the
+ *   operation, if known.
+ * @param {object} [options.details] - Additional event details.
+ *
+ * @returns {Promise<object>} Resolves to the event.
+ */
+export async function add({
+  type, profileId, accountId, profileAgentId, actor, details
+} = {}) {
+  assert.string(type, 'type');
+  assert.optionalString(profileId, 'profileId');
+  assert.optionalString(accountId, 'accountId');
+  assert.optionalString(profileAgentId, 'profileAgentId');
+  assert.optionalString(actor, 'actor');
+  assert.optionalObject(details, 'details');
+
+  const event = {
+    id: `urn:uuid:${randomUUID()}`,
+    type,
+    date: Date.now(),
+    profile: profileId,
+    account: accountId,
+    profileAgent: profileAgentId,
+    actor,
+    details
+  };
+  // do not store unset properties so that partial indexes apply
+  for(const key in event) {
+    if(event[key] === undefined || event[key] === null) {
+      delete event[key];
+    }
+  }
+
+  try {
+    const collection = getCollection(COLLECTION_NAME);
+    await collection.insertOne({meta: {created: event.date}, event});
+  } catch(cause) {
+    logger.error(`Could not record "${type}" audit event.`, {error: cause});
+    throw new BedrockError(`Could not record "${type}" audit event.`, {
+      name: 'OperationError',
+      cause,
+      details: {event, httpStatusCode: 500, public: false}
+    });
+  }
+  try {
+    await bedrock.events.emit(`bedrock-profile.${type}`, {event});
+  } catch(error) {
+    logger.error(`Could not emit "${type}" audit event.`, {error});
+  }
+  return event;
+}
+
+/**
+ * Finds audit events, optionally filtered by profile, account, and time
+ * range. Events are returned in the order in which they occurred, one page at
+ * a time. To get the next page, pass the returned `nextCursor` as `after`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.profileId] - The ID of a profile.
+ * @param {string} [options.accountId] - The ID of an account.
+ * @param {number|Date} [options.start] - The time at or after which events
+ *   must have occurred, in milliseconds since the epoch or as a Date.
+ * @param {number|Date} [options.end] - The time before which events must have
+ *   occurred, in milliseconds since the epoch or as a Date.
+ * @param {number} [options.limit=100] - The maximum number of events to
+ *   return; must be a positive integer.
+ * @param {string} [options.after] - A cursor returned as `nextCursor` from a
+ *   previous call.
+ *
+ * @returns {Promise<object>} Resolves to `{events, nextCursor}` where
+ *   `nextCursor` is `null` if there are no more events.
+ */
+export async function find({
+  profileId, accountId, start, end, limit = 100, after
+} = {}) {
+  assert.optionalString(profileId, 'profileId');
+  assert.optionalString(accountId, 'accountId');
+  assert.number(limit, 'limit');
+  assert.optionalString(after, 'after');
+  if(!(Number.isInteger(limit) && limit > 0)) {
+    throw new TypeError('"limit" must be a positive integer.');
+  }
+
+  const query = {};
+  if(profileId !== undefined) {
+    query['event.profile'] = profileId;
+  }
+  if(accountId !== undefined) {
+    query['event.account'] = accountId;
+  }
+  if(start !== undefined || end !== undefined) {
+    query['event.date'] = {};
+    if(start !== undefined) {
+      query['event.date'].$gte = _toTime(start, 'start');
+    }
+    if(end !== undefined) {
+      query['event.date'].$lt = _toTime(end, 'end');
+    }
+  }
+  if(after !== undefined) {
+    const {date, id} = _parseCursor(after);
+    query.$or = [
+      {'event.date': {$gt: date}},
+      {'event.date': date, 'event.id': {$gt: id}}
+    ];
+  }
+
+  const projection = {_id: 0, event: 1};
+  const collection = getCollection(COLLECTION_NAME);
+  const records = await collection.find(query, {projection})
+    .sort({'event.date': 1, 'event.id': 1})
+    .limit(limit)
+    .toArray();
+  const events = records.map(({event}) => event);
+
+  let nextCursor = null;
+  if(events.length === limit && limit > 0) {
+    const {date, id} = events.at(-1);
+    nextCursor = `${date}:${id}`;
+  }
+  return {events, nextCursor};
+}
+
+function _parseCursor(cursor) {
+  const idx = cursor.indexOf(':');
+  const date = parseInt(cursor.slice(0, idx), 10);
+  const id = cursor.slice(idx + 1);
+  if(idx === -1 || isNaN(date) || !id) {
+    throw new TypeError(`Invalid cursor "${cursor}".`);
+  }
+  return {date, id};
+}
+
+function _toTime(value, name) {
+  const time = value instanceof Date ? value.getTime() : value;
+  if(!Number.isFinite(time)) {
+    throw new TypeError(`"${name}" must be a number or a Date.`);
+  }
+  return time;
+}
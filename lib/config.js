@@ -19,6 +19,13 @@ config.profile.kms.defaultKmsModule = 'ssm-v1';
 // ensure default KMS module is overridden in deployments
 config.ensureConfigOverride.fields.push('profile.kms.defaultKmsModule');
 
+config.profile.provisioning = {
+  // time after which an incomplete profile provisioning process is considered
+  // abandoned, allowing the resources it created to be garbage collected:
+  // 1 day (in ms)
+  gracePeriod: 24 * 60 * 60 * 1000
+};
+
 config.profile.profileAgent = {
   // config for encrypting secrets stored in profile agent records
   secretsEncryption: {
@@ -32,7 +39,32 @@ config.profile.profileAgent = {
       id: '<a key identifier>',
       secretKeyMultibase: '<multibase encoding of an AES-256 secret key>'
     }*/
-    // future config might include a list of older KEKs for rotation purposes
+    // previous key encryption keys that are no longer used to encrypt new
+    // secrets but are still needed to decrypt existing profile agent records
+    // that were encrypted using them; each entry has the same format as `kek`
+    previousKeks: []
+  },
+  // config for exporting and importing profile agent records, e.g., to
+  // migrate them between deployments
+  recordExport: {
+    // key encryption key, shared by the exporting and importing deployments,
+    // used to wrap exported record bundles; exporting and importing records
+    // are disabled if `null`; same format as `secretsEncryption.kek`
+    kek: null,
+    // IDs of the application identities whose exported record bundles may
+    // be imported
+    trustedExporters: []
+  },
+  // config for hashing application tokens before they are stored in profile
+  // agent records
+  tokenHashing: {
+    // secret (at least 32 characters) used to compute a keyed hash
+    // (HMAC-SHA-256) of each token, so that tokens cannot be recovered from a
+    // leaked database by hashing guesses; if `null`, a key derived from the
+    // local application identity's secret key is used instead; changing this
+    // value (or, if `null`, the application identity) invalidates all
+    // existing tokens
+    secret: null
   },
   zcap: {
     // max time before zcap expiry to trigger refresh: 1 month (in ms)
@@ -50,6 +82,18 @@ config.profile.profileAgent = {
       // 1000 years (in ms)
       // note: cannot be higher than 1000 years, it's a hard limit
       profileCapabilityInvocationKey: 1000 * 365 * 24 * 60 * 60 * 1000
+    },
+    // worker that periodically refreshes root profile agent zcaps that will
+    // expire within `autoRefreshThreshold`, even if the profile agents are
+    // not retrieved (see `profileAgents.refreshExpiringZcaps()`)
+    refreshWorker: {
+      // time between the end of one pass and the start of the next (in ms),
+      // e.g., `60 * 60 * 1000` for 1 hour; `null` disables the worker
+      interval: null,
+      // max number of profile agents to process per batch
+      batchSize: 100,
+      // max number of profile agents to refresh concurrently
+      concurrency: 5
     }
   }
 };
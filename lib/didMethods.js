@@ -0,0 +1,157 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import assert from 'assert-plus';
+
+// registered DID methods: method name => DID method handler
+const DID_METHODS = new Map();
+
+// base58-encoded multikey header for Ed25519 public keys
+const ED25519_MULTIKEY_HEADER = 'z6Mk';
+
+// profile key types that `did:jwk` supports
+const JWK_KEY_TYPES = new Set(['Ed25519', 'P-256', 'P-384']);
+
+/**
+ * Registers a DID method that can be used to create profiles (and the keys
+ * that identify them), replacing any existing registration for the same
+ * method.
+ *
+ * The DID for a profile (or profile agent) is determined by the identifier of
+ * its capability invocation key, which has the form:
+ * `<did>#<key identifier fragment>`. This is usually the public alias given
+ * to the key when it is generated in a WebKMS keystore, as produced by the
+ * method's public alias template. A DID method whose key identifiers cannot
+ * be expressed via a public alias template (e.g., because they are not made
+ * from the key's `publicKeyMultibase`) must instead provide `getKeyId()`; the
+ * key is then generated w/o a public alias and its identifier is derived
+ * from its key description whenever it is used.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.method - The DID method name, e.g., `key`.
+ * @param {Function} options.getPublicAliasTemplate - A function that is
+ *   called with `{didOptions, keyType}` and returns a public alias template
+ *   string, or `undefined` if the method provides `getKeyId()`; it should
+ *   throw if `didOptions` are invalid for the method or if the method does
+ *   not support the given key type (e.g., `P-256`).
+ * @param {Function} [options.getKeyId] - An optional async function that is
+ *   called with `{keyDescription}` for a key generated w/o a public alias
+ *   and returns the key's identifier: `<did>#<key identifier fragment>`.
+ * @param {Function} [options.postKeyGeneration] - An optional async function
+ *   that is called with `{id, key, didOptions}` once a key identified by a
+ *   DID that uses the method has been generated, e.g., to publish a DID
+ *   document; any error thrown will abort profile provisioning.
+ */
+export function register({
+  method, getPublicAliasTemplate, getKeyId, postKeyGeneration
+} = {}) {
+  assert.string(method, 'method');
+  assert.func(getPublicAliasTemplate, 'getPublicAliasTemplate');
+  assert.optionalFunc(getKeyId, 'getKeyId');
+  assert.optionalFunc(postKeyGeneration, 'postKeyGeneration');
+  DID_METHODS.set(
+    method, {getPublicAliasTemplate, getKeyId, postKeyGeneration});
+}
+
+/**
+ * Gets a registered DID method.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.method - The DID method name.
+ *
+ * @returns {object} The DID method handler with `getPublicAliasTemplate` and
+ *   optional `getKeyId` and `postKeyGeneration` functions.
+ */
+export function get({method} = {}) {
+  const didMethod = DID_METHODS.get(method);
+  if(!didMethod) {
+    throw new Error(`Unsupported DID method "${method}".`);
+  }
+  return didMethod;
+}
+
+/**
+ * Determines whether a DID method has been registered.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.method - The DID method name.
+ *
+ * @returns {boolean} `true` if the method is registered, `false` if not.
+ */
+export function isSupported({method} = {}) {
+  return DID_METHODS.has(method);
+}
+
+register({
+  method: 'key',
+  getPublicAliasTemplate() {
+    return 'did:key:{publicKeyMultibase}#{publicKeyMultibase}';
+  }
+});
+
+register({
+  method: 'v1',
+  getPublicAliasTemplate({didOptions = {}, keyType} = {}) {
+    // `did:v1` nyms can only be created from Ed25519 keys
+    if(keyType !== undefined && keyType !== 'Ed25519VerificationKey2020') {
+      throw new Error(`"did:v1" does not support key type "${keyType}".`);
+    }
+    const prefix = (didOptions.mode === 'test') ? 'did:v1:test:' : 'did:v1:';
+    return prefix + 'nym:{publicKeyMultibase}#{publicKeyMultibase}';
+  }
+});
+
+register({
+  method: 'jwk',
+  getPublicAliasTemplate({keyType} = {}) {
+    // a `did:jwk` DID document expresses its key as a `Multikey` (or JWK),
+    // so `Ed25519VerificationKey2020` keys, which sign using
+    // `Ed25519Signature2020`, cannot be verified using it
+    if(!JWK_KEY_TYPES.has(keyType)) {
+      throw new Error(`"did:jwk" does not support key type "${keyType}".`);
+    }
+    // `did:jwk` DIDs are base64url-encoded JWKs, which cannot be expressed
+    // via a public alias template; see `getKeyId()`
+    return undefined;
+  },
+  async getKeyId({keyDescription} = {}) {
+    const {publicKeyMultibase} = keyDescription;
+    const Multikey = publicKeyMultibase.startsWith(ED25519_MULTIKEY_HEADER) ?
+      Ed25519Multikey : EcdsaMultikey;
+    const keyPair = await Multikey.from({type: 'Multikey', publicKeyMultibase});
+    // include only the public key members of the JWK
+    const {kty, crv, x, y} = await Multikey.toJwk({keyPair});
+    const jwk = y === undefined ? {kty, crv, x} : {kty, crv, x, y};
+    const encoded = Buffer.from(JSON.stringify(jwk)).toString('base64url');
+    return `did:jwk:${encoded}#0`;
+  }
+});
+
+/* The application is responsible for making `did:web` DIDs resolvable; it may
+re-register this method with a `postKeyGeneration` function to be notified of
+new DIDs. For each `did:web:<domain>[:<path>]:<publicKeyMultibase>` DID, it
+must serve a DID document at
+`https://<domain>[/<path>]/<publicKeyMultibase>/did.json` whose `id` is the
+DID and that has a verification method, with the ID
+`<did>#<publicKeyMultibase>`, that expresses the key's `publicKeyMultibase`
+(as an `Ed25519VerificationKey2020` for the default key type, otherwise as a
+`Multikey`) in its `capabilityDelegation` and `capabilityInvocation`
+relationships. Every service that verifies zcaps for the profile (e.g., the
+WebKMS, EDV, and meter services) must be able to resolve these DIDs via
+`@bedrock/did-io`, i.e., the domain must be in the `did:web` allow list of
+each of their configs if one is set. */
+register({
+  method: 'web',
+  getPublicAliasTemplate({didOptions = {}} = {}) {
+    const {domain, path = []} = didOptions;
+    assert.string(domain, 'didOptions.domain');
+    assert.arrayOfString(path, 'didOptions.path');
+    // a port in the domain must be percent-encoded
+    const segments = [encodeURIComponent(domain), ...path.map(
+      segment => encodeURIComponent(segment))];
+    return `did:web:${segments.join(':')}:` +
+      '{publicKeyMultibase}#{publicKeyMultibase}';
+  }
+});
@@ -6,7 +6,10 @@ import '@bedrock/https-agent';
 // NOTE: if the config sets config parameters for other bedrock modules,
 // those modules should be required here
 import './config.js';
+import './zcapRefreshWorker.js';
 
+export * as audit from './audit.js';
+export * as didMethods from './didMethods.js';
 export * as profileAgents from './profileAgents.js';
 export * as profileMeters from './profileMeters.js';
 export * as profiles from './profiles.js';
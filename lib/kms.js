@@ -72,7 +72,9 @@ export function getKeystoreAgent({capabilityAgent, keystoreId} = {}) {
   return keystoreAgent;
 }
 
-export async function generateKey({type, invocationSigner, kmsClient} = {}) {
+export async function generateKey({
+  type, invocationSigner, kmsClient, publicAliasTemplate
+} = {}) {
   let Class;
   let suiteContextUrl;
   if(type === 'hmac' || type === 'Sha256HmacKey2019') {
@@ -87,6 +89,21 @@ export async function generateKey({type, invocationSigner, kmsClient} = {}) {
     type = 'Ed25519VerificationKey2020';
     suiteContextUrl = 'https://w3id.org/security/suites/ed25519-2020/v1';
     Class = AsymmetricKey;
+  } else if(type === 'Ed25519' || type === 'urn:webkms:multikey:Ed25519') {
+    // the KMS will describe the key as a `Multikey`
+    type = 'urn:webkms:multikey:Ed25519';
+    suiteContextUrl = 'https://w3id.org/security/multikey/v1';
+    Class = AsymmetricKey;
+  } else if(type === 'P-256' || type === 'EcdsaSecp256r1VerificationKey2019' ||
+    type === 'urn:webkms:multikey:P-256') {
+    // the KMS will describe the key as a `Multikey`
+    type = 'urn:webkms:multikey:P-256';
+    suiteContextUrl = 'https://w3id.org/security/multikey/v1';
+    Class = AsymmetricKey;
+  } else if(type === 'P-384' || type === 'urn:webkms:multikey:P-384') {
+    type = 'urn:webkms:multikey:P-384';
+    suiteContextUrl = 'https://w3id.org/security/multikey/v1';
+    Class = AsymmetricKey;
   } else if(type === 'keyAgreement' || type === 'X25519KeyAgreementKey2020') {
     type = 'X25519KeyAgreementKey2020';
     suiteContextUrl = 'https://w3id.org/security/suites/x25519-2020/v1';
@@ -95,8 +112,12 @@ export async function generateKey({type, invocationSigner, kmsClient} = {}) {
     throw new Error(`Unknown key type "${type}".`);
   }
 
-  const keyDescription = await kmsClient.generateKey(
-    {type, suiteContextUrl, invocationSigner});
+  const {keyId, keyDescription} = await kmsClient.generateKey(
+    {type, suiteContextUrl, invocationSigner, publicAliasTemplate});
+  // `id` will be the key's public alias, if any, and `keyId` its KMS ID
   const {id} = keyDescription;
-  return new Class({id, type, invocationSigner, kmsClient, keyDescription});
+  ({type} = keyDescription);
+  return new Class({
+    id, kmsId: keyId, type, invocationSigner, kmsClient, keyDescription
+  });
 }
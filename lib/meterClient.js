@@ -2,14 +2,14 @@
  * Copyright (c) 2021-2022 Digital Bazaar, Inc. All rights reserved.
  */
 import {agent} from '@bedrock/https-agent';
-import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {getSuiteClass} from './signatureSuites.js';
 import {ZcapClient} from '@digitalbazaar/ezcap';
 
 export async function get({url, invocationSigner}) {
   const zcapClient = new ZcapClient({
     agent,
     invocationSigner,
-    SuiteClass: Ed25519Signature2020
+    SuiteClass: getSuiteClass({signer: invocationSigner})
   });
 
   const {data} = await zcapClient.read({url});
@@ -21,7 +21,7 @@ export async function update({url, meter, invocationSigner}) {
   const zcapClient = new ZcapClient({
     agent,
     invocationSigner,
-    SuiteClass: Ed25519Signature2020
+    SuiteClass: getSuiteClass({signer: invocationSigner})
   });
 
   if(!(Number.isInteger(meter.sequence) && meter.sequence >= 0)) {
@@ -34,3 +34,46 @@ export async function update({url, meter, invocationSigner}) {
 
   return data;
 }
+
+// updates the controller of a meter; if the meter cannot be read or updated
+// using the given invocation signer, its controller is presumed to have
+// already been updated (e.g., by a concurrent process)
+export async function updateController({url, controller, invocationSigner}) {
+  try {
+    while(true) {
+      // note: if the meter controller does not match the invocation signer's
+      // controller, then a `NotAllowedError` will be thrown
+      const {meter} = await get({url, invocationSigner});
+      meter.controller = controller;
+
+      try {
+        await update({meter, url, invocationSigner});
+      } catch(e) {
+        if((e.data && e.data.type) !== 'InvalidStateError') {
+          throw e;
+        }
+        // invalid state error when updating means sequence didn't match
+        // because meter was changed by another concurrent process, so loop to
+        // try again
+      }
+    }
+  } catch(e) {
+    // if getting or updating the meter is not allowed; we presume it has
+    // already been updated to the new controller -- future code could be
+    // added to attempt to get the meter using the new controller's invocation
+    // signer if it is really necessary to verify this assumption
+    if((e.data && e.data.type === 'NotAllowedError')) {
+      return;
+    }
+  }
+}
+
+export async function remove({url, invocationSigner}) {
+  const zcapClient = new ZcapClient({
+    agent,
+    invocationSigner,
+    SuiteClass: getSuiteClass({signer: invocationSigner})
+  });
+
+  await zcapClient.request({url, method: 'delete', action: 'write'});
+}
@@ -1,28 +1,35 @@
 /*!
  * Copyright (c) 2020-2026 Digital Bazaar, Inc.
  */
+import * as audit from './audit.js';
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
 import * as kms from './kms.js';
 import * as meterClient from './meterClient.js';
 import * as profileMeters from './profileMeters.js';
+import * as recordBundles from './recordBundles.js';
 import * as utils from './utils.js';
 import * as zcaps from './zcaps.js';
 import {
-  AsymmetricKey, CapabilityAgent, Hmac, KeyAgreementKey, KmsClient
+  CapabilityAgent, Hmac, KeyAgreementKey, KmsClient
 } from '@digitalbazaar/webkms-client';
+import {createHmac, hkdfSync} from 'node:crypto';
+import {CURRENT_KEK_ID, RECORD_CIPHER} from './secretsEncryption.js';
 import {EdvClient, EdvDocument} from '@digitalbazaar/edv-client';
 import assert from 'assert-plus';
+import {getAppIdentity} from '@bedrock/app-identity';
 import {httpsAgent} from '@bedrock/https-agent';
 import {keyResolver} from './keyResolver.js';
-import {RECORD_CIPHER} from './secretsEncryption.js';
+import {logger} from './logger.js';
 
 const {
   assertKeystoreOptions,
   createCapabilityAgent,
   getCollection,
   getPublicAliasTemplate,
-  removeSecretsFromRecords
+  randomBytesAsync,
+  removeSecretsFromRecords,
+  USER_EDV_INDEXES
 } = utils;
 const {config, util: {BedrockError}} = bedrock;
 
@@ -42,6 +49,20 @@ const MIN_AUTO_REFRESH_THRESHOLD = 15 * 60 * 1000;
 // user EDV doc zcaps can get out of sync with the mongodb record zcaps; we
 // also account for clock skew of ~5 minutes between systems)
 const MAX_ZCAP_SYNC_DELTA = MIN_AUTO_REFRESH_THRESHOLD - 5 * 60 * 1000;
+// minimum length of the secret used to hash application tokens
+const MIN_TOKEN_HASHING_SECRET_LENGTH = 32;
+// zcaps in a profile agent's user EDV doc that are kept when it is demoted
+// from being a root profile agent; these are the zcaps a non-root profile
+// agent needs to read its own and the profile's user EDV docs
+const NON_ROOT_USER_DOC_ZCAPS = new Set(
+  ['userDocument', 'user-edv-kak', 'profile-edv-document']);
+// actions non-root profile agents can be allowed to perform on EDV documents
+const EDV_DOCUMENT_ACTIONS = new Set(['read', 'write']);
+// modes for auto-refreshing zcaps when retrieving profile agent records
+const REFRESH_MODES = new Set(['required', 'bestEffort', 'skip']);
+
+// key used to compute a keyed hash of each application token
+let TOKEN_HASHING_KEY;
 
 bedrock.events.on('bedrock.start', async () => {
   // validate zcap config
@@ -72,6 +93,21 @@ bedrock.events.on('bedrock.start', async () => {
       'Configuration option "zcap.ttl.profileCapabilityInvocationKey" must ' +
       `be between 0 and ${MAX_ZCAP_TTL_PROFILE_ZCAP_KEY} milliseconds.`);
   }
+
+  // validate token hashing config
+  const {tokenHashing: {secret}} = config.profile.profileAgent;
+  if(secret !== null && !(typeof secret === 'string' &&
+    secret.length >= MIN_TOKEN_HASHING_SECRET_LENGTH)) {
+    throw new Error(
+      'Configuration option "tokenHashing.secret" must be `null` or a ' +
+      `string of at least ${MIN_TOKEN_HASHING_SECRET_LENGTH} characters.`);
+  }
+  // if no secret is configured, derive the key from the local application's
+  // secret key so that token hashes are always keyed
+  TOKEN_HASHING_KEY = secret ?? Buffer.from(hkdfSync(
+    'sha256',
+    getAppIdentity().keys.capabilityInvocationKey.secretKeyMultibase,
+    '', 'bedrock-profile.tokenHashing', 32));
 });
 
 bedrock.events.on('bedrock-mongodb.ready', async () => {
@@ -97,6 +133,14 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
       unique: false
     }
   }, {
+    collection: COLLECTION_NAME,
+    fields: {tokenHash: 1},
+    options: {
+      partialFilterExpression: {tokenHash: {$exists: true}},
+      unique: false
+    }
+  }, {
+    // legacy index for tokens that were stored prior to token hashing
     collection: COLLECTION_NAME,
     fields: {'secrets.token': 1},
     options: {
@@ -115,6 +159,36 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
       },
       unique: false
     }
+  }, {
+    // supports finding root profile agents with zcaps that expire soon, one
+    // batch at a time in profile agent ID order, w/o an in-memory sort
+    collection: COLLECTION_NAME,
+    fields: {
+      'profileAgent.id': 1,
+      'profileAgent.zcaps.userDocument.expires': 1
+    },
+    options: {
+      partialFilterExpression: {
+        'profileAgent.zcaps.profileCapabilityInvocationKey.id': {$exists: true}
+      },
+      unique: false
+    }
+  }, {
+    // supports finding the meters of profiles whose provisioning has not yet
+    // completed
+    collection: COLLECTION_NAME,
+    fields: {'profileAgent._meters.kmsMeter.id': 1},
+    options: {
+      partialFilterExpression: {'profileAgent._meters': {$exists: true}},
+      unique: false
+    }
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {'profileAgent._meters.edvMeter.id': 1},
+    options: {
+      partialFilterExpression: {'profileAgent._meters': {$exists: true}},
+      unique: false
+    }
   }]);
 });
 
@@ -137,11 +211,16 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
  *   `store` is `true`.
  * @param {string} [options.accountId] - The ID of an account.
  * @param {string} [options.token] - An application token.
+ * @param {number|string|Date} [options.tokenExpires] - An optional
+ *   expiration datetime for `token` as an xmlschema datetimeStamp, in
+ *   milliseconds since the epoch, or as a Date.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
  *
  * @returns {Promise<object>} Resolves to a ProfileAgent record.
  */
 export async function create({
-  keystoreOptions, accountId, profileId, token, store
+  keystoreOptions, accountId, profileId, token, tokenExpires, store, actor
 } = {}) {
   assert.bool(store, 'store');
 
@@ -150,7 +229,7 @@ export async function create({
   }
 
   const {profileAgent, secrets} = await _createProfileAgent({
-    keystoreOptions, accountId, profileId, token
+    keystoreOptions, accountId, profileId, token, tokenExpires
   });
 
   const now = Date.now();
@@ -160,28 +239,194 @@ export async function create({
     profileAgent,
     secrets
   };
+  if(token) {
+    // only a hash of the token is stored
+    record.tokenHash = _hashToken({token});
+  }
 
   if(!store) {
     return record;
   }
 
-  return insert({record});
+  return insert({record, actor});
+}
+
+/**
+ * Provisions a new, non-root Profile Agent for an existing Profile and stores
+ * it. The new profile agent is given access to its own user EDV document and
+ * to each EDV identified in `edvReferenceIds`. All zcaps are delegated by the
+ * profile using the given root profile agent.
+ *
+ * Note: Non-root profile agents do not have access to the profile's
+ * capability invocation key, so their zcaps are not auto-refreshed when they
+ * are retrieved.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileId - The ID of the profile.
+ * @param {object} options.rootAgentRecord - A root profile agent record for
+ *   the profile, including its secrets.
+ * @param {KeystoreOptions} options.keystoreOptions - The keystore options to
+ *   use to create the new profile agent's keystore.
+ * @param {Array<string>} options.edvReferenceIds - The reference IDs of the
+ *   profile EDVs to give the new profile agent access to, e.g., `user`.
+ * @param {Array<string>} [options.allowedActions=['read', 'write']] - The
+ *   actions the new profile agent is allowed to perform on EDV documents;
+ *   must be a non-empty subset of `['read', 'write']`.
+ * @param {number} [options.ttl] - The time to live for the delegated zcaps
+ *   in milliseconds; defaults to `profile.profileAgent.zcap.ttl.default`.
+ * @param {string} [options.accountId] - The ID of an account.
+ * @param {string} [options.token] - An application token.
+ * @param {number|string|Date} [options.tokenExpires] - An optional
+ *   expiration datetime for `token`.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to the new ProfileAgent record.
+ */
+export async function provisionForProfile({
+  profileId, rootAgentRecord, keystoreOptions, edvReferenceIds,
+  allowedActions = ['read', 'write'], ttl, accountId, token, tokenExpires,
+  actor
+} = {}) {
+  assert.string(profileId, 'profileId');
+  assert.object(rootAgentRecord, 'rootAgentRecord');
+  assert.arrayOfString(edvReferenceIds, 'edvReferenceIds');
+  assert.arrayOfString(allowedActions, 'allowedActions');
+  assert.optionalNumber(ttl, 'ttl');
+  if(allowedActions.length === 0 ||
+    !allowedActions.every(action => EDV_DOCUMENT_ACTIONS.has(action))) {
+    throw new TypeError(
+      '"allowedActions" must be a non-empty subset of ["read", "write"].');
+  }
+  if(rootAgentRecord.profileAgent.profile !== profileId) {
+    throw new TypeError(
+      '"rootAgentRecord" must be a profile agent for profile ' +
+      `"${profileId}".`);
+  }
+  if(ttl === undefined) {
+    ({zcap: {ttl: {default: ttl}}} = config.profile.profileAgent);
+  } else if(ttl < 0 || ttl > MAX_ZCAP_TTL_DEFAULT) {
+    throw new TypeError(
+      `"ttl" must be between 0 and ${MAX_ZCAP_TTL_DEFAULT} milliseconds.`);
+  }
+
+  /* 1. Read the root profile agent's user EDV doc, as the profile, to get the
+  zcaps for the requested EDVs. These were delegated by the profile from each
+  EDV's root zcap, so they can be used to delegate new ones. */
+  const profileSigner = await getProfileSigner(
+    {profileAgentRecord: rootAgentRecord});
+  const {userDocument: rootUserDocZcap} = rootAgentRecord.profileAgent.zcaps;
+  const userEdvId = utils.parseEdvId(rootUserDocZcap);
+  const {edvClient} = await utils.getProfileEdvClient(
+    {edvId: userEdvId, profileSigner, indexes: USER_EDV_INDEXES});
+  const {content: {zcaps: rootZcaps}} = await edvClient.get(
+    {id: utils.parseEdvDocumentId(rootUserDocZcap)});
+  // the user EDV KAK is always needed to read the user EDV doc
+  const parentZcaps = {'user-edv-kak': rootZcaps['user-edv-kak']};
+  if(rootZcaps['profile-edv-document']) {
+    parentZcaps['profile-edv-document'] = rootZcaps['profile-edv-document'];
+  }
+  for(const referenceId of edvReferenceIds) {
+    for(const suffix of ['documents', 'hmac', 'kak']) {
+      const zcapName = `${referenceId}-edv-${suffix}`;
+      if(!rootZcaps[zcapName]) {
+        throw new BedrockError(`Profile EDV "${referenceId}" not found.`, {
+          name: 'NotFoundError',
+          details: {
+            profile: profileId,
+            referenceId,
+            httpStatusCode: 404,
+            public: true
+          }
+        });
+      }
+      parentZcaps[zcapName] = rootZcaps[zcapName];
+    }
+  }
+
+  // 2. Create the new profile agent w/o storing it.
+  const record = await create(
+    {keystoreOptions, accountId, profileId, token, tokenExpires, store: false});
+  const {profileAgent} = record;
+
+  // 3. Delegate zcaps from the profile to the new profile agent.
+  const controller = profileAgent.id;
+  const expires = new Date(Date.now() + ttl);
+  const userDocId = await EdvClient.generateId();
+  const delegations = new Map([
+    ['userDocument', zcaps.delegate({
+      allowedActions: ['read'],
+      capability: `urn:zcap:root:${encodeURIComponent(userEdvId)}`,
+      controller,
+      expires,
+      invocationTarget: `${userEdvId}/documents/${userDocId}`,
+      signer: profileSigner
+    })]
+  ]);
+  for(const [zcapName, capability] of Object.entries(parentZcaps)) {
+    delegations.set(zcapName, zcaps.redelegate({
+      allowedActions: zcapName.endsWith('-edv-documents') ?
+        allowedActions : undefined,
+      capability,
+      controller,
+      expires,
+      signer: profileSigner
+    }));
+  }
+  await Promise.all([...delegations.values()]);
+  const delegatedZcaps = {};
+  for(const [zcapName, promise] of delegations) {
+    delegatedZcaps[zcapName] = await promise;
+  }
+
+  /* 4. Write the new profile agent's user EDV doc. If the process fails after
+  this step, the doc is unusable as no profile agent record references it. */
+  await edvClient.update({
+    doc: {
+      id: userDocId,
+      content: {
+        id: profileAgent.id,
+        type: ['User', 'Agent'],
+        created: (new Date()).toISOString(),
+        zcaps: delegatedZcaps
+      }
+    }
+  });
+
+  // 5. Store the new profile agent record.
+  profileAgent.zcaps = {
+    userDocument: delegatedZcaps.userDocument,
+    'user-edv-kak': delegatedZcaps['user-edv-kak']
+  };
+  return insert({record, actor});
 }
 
 /**
- * Gets a count of all profile agents for the given account.
+ * Gets a count of all profile agents for the given account and/or profile.
  *
  * @param {object} options - The options to use.
- * @param {string} options.accountId - The ID of an account.
+ * @param {string} [options.accountId] - The ID of an account.
+ * @param {string} [options.profileId] - The ID of a profile.
  *
  * @returns {Promise<object>} Resolves with an object `{count}` with the
- *   number of profile agents associated with the given `accountId`.
+ *   number of profile agents associated with the given `accountId` and/or
+ *   `profileId`.
  */
-export async function count({accountId} = {}) {
-  assert.string(accountId, 'accountId');
+export async function count({accountId, profileId} = {}) {
+  assert.optionalString(accountId, 'accountId');
+  assert.optionalString(profileId, 'profileId');
+  if(!(accountId || profileId)) {
+    throw new TypeError('"accountId" or "profileId" is required.');
+  }
 
-  // count all profile agent records with the given `accountId`
-  const query = {'profileAgent.account': accountId};
+  // count all profile agent records with the given `accountId`/`profileId`
+  const query = {};
+  if(accountId) {
+    query['profileAgent.account'] = accountId;
+  }
+  if(profileId) {
+    query['profileAgent.profile'] = profileId;
+  }
   const collection = getCollection(COLLECTION_NAME);
   const count = await collection.countDocuments(query);
   return {count};
@@ -194,19 +439,24 @@ export async function count({accountId} = {}) {
  * @param {string} options.id - The ID of the ProfileAgent.
  * @param {boolean} [options.includeSecrets=false] - Include secrets
  *   in the result.
+ * @param {string} [options.refresh='required'] - How to auto-refresh zcaps:
+ *   `required` to fail if they cannot be refreshed, `bestEffort` to return
+ *   records with a `refreshError` if they cannot be refreshed but have not
+ *   yet expired, or `skip` to not refresh them.
  * @param {boolean} [options._reconcile=true] - Reconcile profile agent
  *   record as needed; for internal use only.
  *
  * @returns {Promise<object>} Resolves to a ProfileAgent record.
  */
 export async function get({
-  id, includeSecrets = false, _reconcile = true
+  id, includeSecrets = false, refresh = 'required', _reconcile = true
 } = {}) {
   assert.string(id, 'id');
+  _assertRefreshMode(refresh);
 
   const query = {'profileAgent.id': id};
-  // exclude secrets info by default
-  const projection = {_id: 0, secrets: 0};
+  // exclude secrets info by default; never include token hash
+  const projection = {_id: 0, secrets: 0, tokenHash: 0};
   // do not exclude secrets info if requested or if reconciling
   if(includeSecrets || _reconcile) {
     delete projection.secrets;
@@ -219,7 +469,8 @@ export async function get({
       [record] = await _reconcileProfileAgentRecords({records: [record]});
       if(record) {
         // apply auto-refresh to zcaps
-        [record] = await _refreshProfileAgentZcaps({records: [record]});
+        [record] = await _refreshProfileAgentZcaps(
+          {records: [record], refresh});
         if(!includeSecrets) {
           [record] = removeSecretsFromRecords({records: [record]});
         }
@@ -254,23 +505,105 @@ export async function get({
  *   ProfileAgent(s).
  * @param {boolean} [options.includeSecrets=false] - Include secrets in the
  *   results.
+ * @param {string} [options.refresh='required'] - How to auto-refresh zcaps:
+ *   `required` to fail if they cannot be refreshed, `bestEffort` to return
+ *   records with a `refreshError` if they cannot be refreshed but have not
+ *   yet expired, or `skip` to not refresh them.
  *
  * @returns {Promise<Array<object>>} Resolves to a ProfileAgent record(s).
  */
-export async function getAll({accountId, includeSecrets = false} = {}) {
+export async function getAll({
+  accountId, includeSecrets = false, refresh = 'required'
+} = {}) {
   assert.string(accountId, 'accountId');
+  _assertRefreshMode(refresh);
   // get raw records
   let records = await _getProfileAgentRecords({accountId});
   // ensure records have been reconciled
   records = await _reconcileProfileAgentRecords({records});
   // apply auto-refresh to zcaps
-  records = await _refreshProfileAgentZcaps({records});
+  records = await _refreshProfileAgentZcaps({records, refresh});
   if(!includeSecrets) {
     records = removeSecretsFromRecords({records});
   }
   return records;
 }
 
+/**
+ * Finds Profile Agent(s) for an account, one page at a time. Results are
+ * ordered by profile agent ID.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.accountId - The ID of the account associated with the
+ *   ProfileAgent(s).
+ * @param {string} [options.profileId] - The ID of a profile to filter by.
+ * @param {boolean} [options.root] - `true` to only find root profile agents,
+ *   `false` to only find non-root profile agents; by default, both are found.
+ * @param {number} [options.limit=100] - The maximum number of profile agents
+ *   to return.
+ * @param {string} [options.after] - The cursor returned as `nextCursor` from
+ *   a previous call, to get the next page.
+ * @param {string|boolean} [options.refresh='required'] - How to
+ *   auto-refresh the zcaps in the results: `required`, `bestEffort`, or
+ *   `skip` (e.g., for listing views), see `get()`; `true` and `false` are
+ *   accepted as aliases for `required` and `skip`, respectively.
+ * @param {boolean} [options.includeSecrets=false] - Include secrets in the
+ *   results.
+ *
+ * @returns {Promise<object>} Resolves to `{records, nextCursor}` where
+ *   `nextCursor` is `null` if there are no more results. Note that `records`
+ *   may have fewer than `limit` entries even if there are more results, as
+ *   invalid profile agent records are removed during reconciliation.
+ */
+export async function findByAccount({
+  accountId, profileId, root, limit = 100, after, refresh = 'required',
+  includeSecrets = false
+} = {}) {
+  assert.string(accountId, 'accountId');
+  assert.optionalString(profileId, 'profileId');
+  assert.optionalBool(root, 'root');
+  assert.number(limit, 'limit');
+  assert.optionalString(after, 'after');
+  if(typeof refresh === 'boolean') {
+    refresh = refresh ? 'required' : 'skip';
+  }
+  _assertRefreshMode(refresh);
+  assert.bool(includeSecrets, 'includeSecrets');
+  if(!(Number.isInteger(limit) && limit > 0)) {
+    throw new TypeError('"limit" must be a positive integer.');
+  }
+
+  const query = {'profileAgent.account': accountId};
+  if(after !== undefined) {
+    query['profileAgent.id'] = {$gt: after};
+  }
+  if(profileId !== undefined) {
+    query['profileAgent.profile'] = profileId;
+  }
+  if(root !== undefined) {
+    query['profileAgent.zcaps.profileCapabilityInvocationKey.id'] = {
+      $exists: root
+    };
+  }
+  const projection = {_id: 0, tokenHash: 0};
+  const collection = getCollection(COLLECTION_NAME);
+  let records = await collection.find(query, {projection})
+    .sort({'profileAgent.id': 1})
+    .limit(limit)
+    .toArray();
+  const nextCursor = records.length === limit ?
+    records.at(-1).profileAgent.id : null;
+
+  // ensure records have been reconciled
+  records = await _reconcileProfileAgentRecords({records});
+  // apply auto-refresh to zcaps
+  records = await _refreshProfileAgentZcaps({records, refresh});
+  if(!includeSecrets) {
+    records = removeSecretsFromRecords({records});
+  }
+  return {records, nextCursor};
+}
+
 /**
  * Get a Profile Agent.
  *
@@ -281,20 +614,25 @@ export async function getAll({accountId, includeSecrets = false} = {}) {
  *   ProfileAgent.
  * @param {boolean} [options.includeSecrets=false] - Include secrets in the
  *   result.
+ * @param {string} [options.refresh='required'] - How to auto-refresh zcaps:
+ *   `required` to fail if they cannot be refreshed, `bestEffort` to return
+ *   records with a `refreshError` if they cannot be refreshed but have not
+ *   yet expired, or `skip` to not refresh them.
  *
  * @returns {Promise<object>} Resolves to a ProfileAgent record.
  */
 export async function getByProfile({
-  accountId, profileId, includeSecrets = false
+  accountId, profileId, includeSecrets = false, refresh = 'required'
 } = {}) {
   assert.string(accountId, 'accountId');
   assert.string(profileId, 'profileId');
+  _assertRefreshMode(refresh);
 
   const query = {
     'profileAgent.account': accountId,
     'profileAgent.profile': profileId
   };
-  const projection = {_id: 0};
+  const projection = {_id: 0, tokenHash: 0};
   const collection = getCollection(COLLECTION_NAME);
   let record = await collection.findOne(query, {projection});
   if(record) {
@@ -302,7 +640,8 @@ export async function getByProfile({
     [record] = await _reconcileProfileAgentRecords({records: [record]});
     if(record) {
       // apply auto-refresh to zcaps
-      [record] = await _refreshProfileAgentZcaps({records: [record]});
+      [record] = await _refreshProfileAgentZcaps(
+        {records: [record], refresh});
       if(!includeSecrets) {
         [record] = removeSecretsFromRecords({records: [record]});
       }
@@ -332,27 +671,31 @@ export async function getByProfile({
  * @param {object} [options.options={limit: 1}] - The query options to use.
  * @param {boolean} [options.includeSecrets=false] - Include secrets in the
  *   result.
+ * @param {string} [options.refresh='required'] - How to auto-refresh zcaps:
+ *   `required`, `bestEffort`, or `skip`, see `get()`.
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
  * @returns {Promise<Array | ExplainObject>} Resolves to ProfileAgent records
  *   or an `ExplainObject` if `explain=true`.
  */
 export async function getRootAgents({
-  profileId, options = {limit: 1}, includeSecrets = false, explain = false
+  profileId, options = {limit: 1}, includeSecrets = false,
+  refresh = 'required', explain = false
 } = {}) {
   assert.string(profileId, 'profileId');
   assert.object(options, 'options');
   assert.optionalNumber(options?.skip, 'options.skip');
   assert.optionalNumber(options?.limit, 'options.limit');
   assert.bool(includeSecrets, 'includeSecrets');
+  _assertRefreshMode(refresh);
   assert.bool(explain, 'explain');
 
   const query = {
     'profileAgent.profile': profileId,
     'profileAgent.zcaps.profileCapabilityInvocationKey.id': {$exists: true}
   };
-  // exclude secrets info by default
-  const projection = {_id: 0, secrets: 0};
+  // exclude secrets info by default; never include token hash
+  const projection = {_id: 0, secrets: 0, tokenHash: 0};
   if(includeSecrets) {
     // do not exclude secrets info per request
     delete projection.secrets;
@@ -369,7 +712,7 @@ export async function getRootAgents({
     // ensure records have been reconciled
     records = await _reconcileProfileAgentRecords({records});
     // apply auto-refresh to zcaps
-    records = await _refreshProfileAgentZcaps({records});
+    records = await _refreshProfileAgentZcaps({records, refresh});
     if(!includeSecrets) {
       records = removeSecretsFromRecords({records});
     }
@@ -378,7 +721,8 @@ export async function getRootAgents({
     if(records.length === 0 && options.limit === 1) {
       // fetch up to 10 profile agents and return first, if any
       options = {...options, limit: 10};
-      records = await getRootAgents({profileId, options, includeSecrets});
+      records = await getRootAgents(
+        {profileId, options, includeSecrets, refresh});
       records = records.slice(0, 1);
     }
   }
@@ -392,6 +736,9 @@ export async function getRootAgents({
  * might be changed in a future revision without a major breaking change as
  * it would correct invalid state.
  *
+ * Tokens are not stored; profile agents are looked up using a hash of the
+ * given token. A `NotAllowedError` is thrown if the token has expired.
+ *
  * @param {object} options - The options to use.
  * @param {string} options.token - The token associated with the profileAgent.
  * @param {boolean} [options.includeSecrets=false] - Include secrets in the
@@ -402,7 +749,8 @@ export async function getRootAgents({
 export async function getByToken({token, includeSecrets = false} = {}) {
   assert.string(token, 'token');
 
-  const query = {'secrets.token': token};
+  const tokenHash = _hashToken({token});
+  const query = {$or: [{tokenHash}, {'secrets.token': token}]};
   // exclude secrets info by default
   const projection = {_id: 0, secrets: 0, encryptedSecrets: 0};
   if(includeSecrets) {
@@ -424,43 +772,162 @@ export async function getByToken({token, includeSecrets = false} = {}) {
       }
     });
   }
+  const {profileAgent: {id, tokenExpires}} = record;
+  if(tokenExpires !== undefined && Date.parse(tokenExpires) <= Date.now()) {
+    throw new BedrockError('Profile agent token has expired.', {
+      name: 'NotAllowedError',
+      details: {
+        profileAgent: id,
+        tokenExpires,
+        httpStatusCode: 403,
+        public: true
+      }
+    });
+  }
+  if(record.tokenHash !== tokenHash) {
+    // token was stored prior to token hashing, replace it with its hash
+    return _migrateLegacyToken({id, includeSecrets});
+  }
+  delete record.tokenHash;
   return RECORD_CIPHER.decryptRecordSecrets({record});
 }
 
 /**
- * Inserts a previously created / modified ProfileAgent record into the
- * database.
+ * Rotates the application token for a Profile Agent, replacing any existing
+ * token (and its expiration) with a new one. Profile agents that are
+ * associated with an account cannot have tokens.
  *
  * @param {object} options - The options to use.
- * @param {object} options.record - The profile agent record to insert.
+ * @param {string} options.id - The ID of the profile agent.
+ * @param {string} [options.token] - The new token; if not given, a random
+ *   token will be generated.
+ * @param {number|string|Date} [options.tokenExpires] - An optional
+ *   expiration datetime for the new token as an xmlschema datetimeStamp, in
+ *   milliseconds since the epoch, or as a Date.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
  *
- * @returns {Promise<object>} Resolves to a ProfileAgent record.
+ * @returns {Promise<object>} Resolves to `{token, profileAgentRecord}` with
+ *   the new token and the updated profile agent record (w/o secrets).
  */
-export async function insert({record} = {}) {
-  assert.object(record, 'record');
-  assert.object(record.meta, 'record.meta');
-  assert.object(record.profileAgent, 'record.profileAgent');
-  assert.object(record.secrets, 'record.secrets');
+export async function rotateToken({id, token, tokenExpires, actor} = {}) {
+  assert.string(id, 'id');
+  assert.optionalString(token, 'token');
+  if(token === undefined) {
+    token = (await randomBytesAsync(32)).toString('base64url');
+  }
+  const profileAgentRecord = await _updateToken(
+    {id, token, tokenExpires, actor});
+  return {token, profileAgentRecord};
+}
 
-  try {
-    const collection = getCollection(COLLECTION_NAME);
-    // encrypt secrets according to configuration
-    const updatedRecord = await RECORD_CIPHER.encryptRecordSecrets({record});
-    await collection.insertOne(updatedRecord);
-  } catch(cause) {
-    if(!database.isDuplicateError(cause)) {
-      throw cause;
+/**
+ * Revokes the application token for a Profile Agent, if any, such that the
+ * profile agent can no longer be retrieved via `getByToken()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the profile agent.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to the updated profile agent record
+ *   (w/o secrets).
+ */
+export async function revokeToken({id, actor} = {}) {
+  assert.string(id, 'id');
+  return _updateToken({id, actor});
+}
+
+/**
+ * Transfers a Profile Agent from one account to another, e.g., when accounts
+ * are merged or when an organization changes owners. The transfer is recorded
+ * in the audit log as a `profileAgent.transferred` event, which is also
+ * emitted as `bedrock-profile.profileAgent.transferred`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the profile agent.
+ * @param {string} options.fromAccountId - The ID of the account the profile
+ *   agent must currently be associated with.
+ * @param {string} options.toAccountId - The ID of the account to associate
+ *   the profile agent with.
+ * @param {boolean} [options.clearToken=false] - Set to `true` to also revoke
+ *   the profile agent's application token, if any.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to the updated profile agent record
+ *   (w/o secrets).
+ */
+export async function transfer({
+  id, fromAccountId, toAccountId, clearToken = false, actor
+} = {}) {
+  assert.string(id, 'id');
+  assert.string(fromAccountId, 'fromAccountId');
+  assert.string(toAccountId, 'toAccountId');
+  assert.bool(clearToken, 'clearToken');
+  if(fromAccountId === toAccountId) {
+    throw new TypeError('"fromAccountId" and "toAccountId" must differ.');
+  }
+
+  while(true) {
+    const {profileAgent, secrets} = await get(
+      {id, includeSecrets: clearToken, _reconcile: false});
+    if(profileAgent.account !== fromAccountId) {
+      // account must match, like `remove()`
+      throw new BedrockError('Profile agent not found.', {
+        name: 'NotFoundError',
+        details: {
+          profileAgent: id,
+          httpStatusCode: 404,
+          public: true
+        }
+      });
     }
-    throw new BedrockError('Duplicate profile agent.', {
-      name: 'DuplicateError',
-      cause,
-      details: {
-        public: true,
-        httpStatusCode: 409
+    const newProfileAgent = {
+      ...profileAgent,
+      sequence: profileAgent.sequence + 1,
+      account: toAccountId
+    };
+    let tokenHash;
+    if(clearToken) {
+      // any legacy token is removed from `secrets` by `_update()`
+      delete newProfileAgent.tokenExpires;
+      tokenHash = null;
+    }
+    let record;
+    try {
+      record = await _update({
+        profileAgent: newProfileAgent, secrets, tokenHash, auditType: null
+      });
+    } catch(e) {
+      // if concurrent process updated record, ignore and loop to try again,
+      // all other errors should be thrown as non-recoverable
+      if(e.name !== 'InvalidStateError') {
+        throw e;
       }
+      continue;
+    }
+    await _audit({
+      type: 'profileAgent.transferred', record, actor,
+      details: {from: fromAccountId, to: toAccountId, tokenCleared: clearToken}
     });
+    return record;
   }
-  return record;
+}
+
+/**
+ * Inserts a previously created / modified ProfileAgent record into the
+ * database.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.record - The profile agent record to insert.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to a ProfileAgent record.
+ */
+export async function insert({record, actor} = {}) {
+  return _insert({record, actor});
 }
 
 /**
@@ -471,98 +938,366 @@ export async function insert({record} = {}) {
  * @param {boolean} [options.includeSecrets=false] - Include secrets
  *   in the result.
  * @param {object} [options.secrets=undefined] - The `secrets` to update.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
  *
  * @returns {Promise<object>} Resolves to the updated record on success,
  *   including the record secrets if requested.
  */
 export async function update({
-  profileAgent, includeSecrets = false, secrets
+  profileAgent, includeSecrets = false, secrets, actor
 } = {}) {
-  _assertProfileAgent(profileAgent);
+  return _update({profileAgent, includeSecrets, secrets, actor});
+}
+
+/**
+ * Removes a Profile Agent.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the profile agent.
+ * @param {string} [options.account] - The ID of the account that must be
+ *   associated with the profile agent.
+ * @param {boolean} [options.revokeCapabilities=false] - Set to `true` to
+ *   revoke, prior to removal, every zcap the profile delegated to the profile
+ *   agent, including those in its user EDV document; this requires a root
+ *   profile agent for the profile to exist, which may be the one removed.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function remove({
+  id, account, revokeCapabilities = false, actor
+} = {}) {
+  return _remove({id, account, revokeCapabilities, actor});
+}
+
+/**
+ * Removes all Profile Agents associated with a Profile.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileId - The ID of the profile.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves with an object `{count}` with the
+ *   number of profile agents that were removed.
+ */
+export async function removeByProfile({profileId, actor} = {}) {
+  assert.string(profileId, 'profileId');
+
+  const query = {'profileAgent.profile': profileId};
+  const collection = getCollection(COLLECTION_NAME);
+  const result = await collection.deleteMany(query);
+  const count = result.deletedCount;
+  await audit.add({
+    type: 'profileAgent.removedByProfile', profileId, actor, details: {count}
+  });
+  return {count};
+}
+
+/**
+ * Re-encrypts the secrets of a batch of profile agent records that are either
+ * not encrypted or that were encrypted using a key encryption key (KEK) other
+ * than the current one. This enables retiring previous KEKs once every record
+ * has been migrated.
+ *
+ * Records are processed in `profileAgent.id` order. To perform a full pass
+ * over the collection, call this function repeatedly, passing the returned
+ * `cursor` as `after`, until `cursor` is `null`. A pass can be safely resumed
+ * or rerun at any time, including concurrently with other processes.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.limit=100] - The maximum number of records to
+ *   process in this batch; must be a positive integer.
+ * @param {string} [options.after] - The profile agent ID after which to
+ *   resume processing, as returned via `cursor` from a previous call.
+ *
+ * @returns {Promise<object>} Resolves to `{updated, failed, cursor}` where
+ *   `updated` is the number of records that were re-encrypted, `failed` is
+ *   an array of `{id, error}` for records that could not be re-encrypted,
+ *   and `cursor` is the value to pass as `after` to continue or `null` if
+ *   the pass is complete.
+ */
+export async function reencryptSecrets({limit = 100, after} = {}) {
+  assert.number(limit, 'limit');
+  assert.optionalString(after, 'after');
+  if(!(Number.isInteger(limit) && limit > 0)) {
+    throw new TypeError('"limit" must be a positive integer.');
+  }
+
+  const result = {updated: 0, failed: [], cursor: null};
+  if(!RECORD_CIPHER.isSecretsEncryptionEnabled()) {
+    // nothing to migrate to
+    return result;
+  }
 
-  // build update
-  const {id} = profileAgent;
   const query = {
-    'profileAgent.id': id,
-    // existing profile agent must be `1` before the new update
-    'profileAgent.sequence': profileAgent.sequence - 1
-  };
-  const $set = {
-    'meta.updated': Date.now(),
-    profileAgent
+    $or: [
+      {secrets: {$exists: true}},
+      {'encryptedSecrets.kekId': {$ne: CURRENT_KEK_ID}}
+    ]
   };
-  const update = {$set};
-  if(secrets) {
-    // handle `secrets` update
-    const record = {profileAgent, secrets};
-    const {
-      encryptedSecrets
-    } = await RECORD_CIPHER.encryptRecordSecrets({record});
-    if(encryptedSecrets) {
-      $set.encryptedSecrets = encryptedSecrets;
-      update.$unset = {secrets: true};
-    } else {
-      $set.secrets = secrets;
-      update.$unset = {encryptedSecrets: true};
-    }
+  if(after !== undefined) {
+    query['profileAgent.id'] = {$gt: after};
   }
+  const projection = {_id: 0};
+  const collection = getCollection(COLLECTION_NAME);
+  const records = await collection.find(query, {projection})
+    .sort({'profileAgent.id': 1})
+    .limit(limit)
+    .toArray();
 
-  // exclude secrets info by default from returned record
-  const projection = {_id: 0, secrets: 0, encryptedSecrets: 0};
-  if(includeSecrets) {
-    // do not exclude secrets info per request
-    delete projection.secrets;
-    delete projection.encryptedSecrets;
+  for(const record of records) {
+    const {id} = record.profileAgent;
+    try {
+      if(await _reencryptRecordSecrets({record})) {
+        result.updated++;
+      }
+    } catch(error) {
+      logger.error(
+        `Could not re-encrypt secrets for profile agent "${id}".`, {error});
+      result.failed.push({id, error});
+    }
   }
 
-  // perform update and return updated record
+  if(records.length === limit) {
+    result.cursor = records.at(-1).profileAgent.id;
+  }
+  return result;
+}
+
+/**
+ * Exports the Profile Agent records for a profile and/or account, e.g., to
+ * migrate them to another deployment via `importRecords()`. The records,
+ * with their secrets decrypted, and the meters of their profiles are
+ * encrypted using the `profile.profileAgent.recordExport.kek` key encryption
+ * key, which must be shared with the importing deployment, and signed using
+ * the local application's capability invocation key.
+ *
+ * Note: Token hashes are exported as-is; tokens will only be usable after
+ * import if both deployments use the same
+ * `profile.profileAgent.tokenHashing.secret` (or, if it is not set, the same
+ * application identity).
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.profileId] - The ID of a profile.
+ * @param {string} [options.accountId] - The ID of an account.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to `{bundle, count}` where `count` is
+ *   the number of exported profile agent records.
+ */
+export async function exportRecords({profileId, accountId, actor} = {}) {
+  assert.optionalString(profileId, 'profileId');
+  assert.optionalString(accountId, 'accountId');
+  if(!(profileId || accountId)) {
+    throw new TypeError('"profileId" or "accountId" is required.');
+  }
+
+  const query = {};
+  if(profileId) {
+    query['profileAgent.profile'] = profileId;
+  }
+  if(accountId) {
+    query['profileAgent.account'] = accountId;
+  }
+  const projection = {_id: 0};
   const collection = getCollection(COLLECTION_NAME);
-  const result = await collection.findOneAndUpdate(query, update, {
-    projection,
-    promoteBuffers: true,
-    returnDocument: 'after',
-    includeResultMetadata: true
-  });
-  if(result.lastErrorObject?.updatedExisting === false) {
-    const details = {
-      profileAgent: id,
-      httpStatusCode: 409,
-      public: true
-    };
-    throw new BedrockError(
-      'Could not update profile agent; ' +
-      'profile agent either not found or unexpected sequence number.', {
-        name: 'InvalidStateError',
-        details
-      });
+  const rawRecords = await collection.find(query, {projection}).toArray();
+  const records = await Promise.all(rawRecords.map(async record => {
+    const {
+      meta, profileAgent, secrets, tokenHash
+    } = await RECORD_CIPHER.decryptRecordSecrets({record});
+    const exported = {meta, profileAgent, secrets};
+    if(tokenHash) {
+      exported.tokenHash = tokenHash;
+    }
+    return exported;
+  }));
+
+  // export the meters for each profile
+  const profileIds = new Set(records
+    .map(({profileAgent}) => profileAgent.profile)
+    .filter(id => id));
+  const meters = [];
+  for(const id of profileIds) {
+    const {meters: meterRecords} = await profileMeters.findByProfile(
+      {profileId: id});
+    meters.push(...meterRecords.map(({meter}) => meter));
   }
 
-  return RECORD_CIPHER.decryptRecordSecrets({record: result.value});
+  const bundle = await recordBundles.create({content: {records, meters}});
+  await Promise.all(records.map(
+    record => _audit({type: 'profileAgent.exported', record, actor})));
+  return {bundle, count: records.length};
 }
 
-// remove a profile agent
-export async function remove({id, account} = {}) {
-  assert.string(id, 'id');
-  assert.optionalString(account, 'account');
+/**
+ * Imports the Profile Agent records and meters in a bundle created via
+ * `exportRecords()`. The bundle's exporter must be listed in
+ * `profile.profileAgent.recordExport.trustedExporters`. Every record and
+ * meter in the bundle is validated before any is inserted; record secrets
+ * are encrypted according to the local configuration. Records and meters
+ * that already exist are not modified and are reported as duplicates, so
+ * an interrupted import can be safely rerun.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.bundle - The bundle to import.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to `{records, meters}` where each
+ *   is an object `{imported, duplicates}` with the IDs of the profile agents
+ *   or meters that were imported or that already existed.
+ */
+export async function importRecords({bundle, actor} = {}) {
+  assert.object(bundle, 'bundle');
 
-  const query = {'profileAgent.id': id};
-  if(account) {
-    // account must also match, if given
-    query['profileAgent.account'] = account;
+  const {content, exporter} = await recordBundles.open({bundle});
+  const {records, meters} = content;
+  try {
+    assert.arrayOfObject(records, 'records');
+    assert.arrayOfObject(meters, 'meters');
+    for(const [i, record] of records.entries()) {
+      assert.object(record.meta, `records[${i}].meta`);
+      _assertProfileAgent(record.profileAgent);
+      assert.object(record.secrets, `records[${i}].secrets`);
+      assert.optionalString(record.tokenHash, `records[${i}].tokenHash`);
+    }
+    for(const [i, meter] of meters.entries()) {
+      assert.string(meter.id, `meters[${i}].id`);
+      assert.string(meter.profile, `meters[${i}].profile`);
+      assert.string(meter.serviceType, `meters[${i}].serviceType`);
+      assert.string(meter.referenceId, `meters[${i}].referenceId`);
+    }
+  } catch(cause) {
+    throw new BedrockError('Invalid profile agent record bundle content.', {
+      name: 'DataError',
+      cause,
+      details: {httpStatusCode: 400, public: true}
+    });
+  }
+
+  const result = {
+    records: {imported: [], duplicates: []},
+    meters: {imported: [], duplicates: []}
+  };
+  for(const meter of meters) {
+    try {
+      await profileMeters.add({meter});
+      result.meters.imported.push(meter.id);
+    } catch(e) {
+      if(e.name !== 'DuplicateError') {
+        throw e;
+      }
+      result.meters.duplicates.push(meter.id);
+    }
+  }
+  for(const record of records) {
+    const {id} = record.profileAgent;
+    try {
+      await _insert({
+        record, actor,
+        auditType: 'profileAgent.imported',
+        auditDetails: {exporter}
+      });
+      result.records.imported.push(id);
+    } catch(e) {
+      if(e.name !== 'DuplicateError') {
+        throw e;
+      }
+      result.records.duplicates.push(id);
+    }
+  }
+  return result;
+}
+
+/**
+ * Refreshes the zcaps of a batch of root profile agents whose zcaps will
+ * expire within `profile.profileAgent.zcap.autoRefreshThreshold`. Zcaps are
+ * otherwise only refreshed when profile agents are retrieved, so profile
+ * agents that are not retrieved for a long time would end up with expired
+ * zcaps.
+ *
+ * Records are processed in `profileAgent.id` order. To perform a full pass,
+ * call this function repeatedly, passing the returned `cursor` as `after`,
+ * until `cursor` is `null`. A pass can be safely resumed or rerun at any
+ * time, including concurrently with other processes. See the
+ * `profile.profileAgent.zcap.refreshWorker` config option to have passes run
+ * periodically.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.limit=100] - The maximum number of profile agents
+ *   to process in this batch; must be a positive integer.
+ * @param {number} [options.concurrency=5] - The maximum number of profile
+ *   agents to refresh concurrently; must be a positive integer.
+ * @param {string} [options.after] - The profile agent ID after which to
+ *   resume processing, as returned via `cursor` from a previous call.
+ *
+ * @returns {Promise<object>} Resolves to `{refreshed, failed, cursor}` where
+ *   `refreshed` is the number of profile agents whose zcaps were refreshed,
+ *   `failed` is an array of `{id, error}` for profile agents whose zcaps
+ *   could not be refreshed, and `cursor` is the value to pass as `after` to
+ *   continue or `null` if the pass is complete.
+ */
+export async function refreshExpiringZcaps({
+  limit = 100, concurrency = 5, after
+} = {}) {
+  assert.number(limit, 'limit');
+  assert.number(concurrency, 'concurrency');
+  assert.optionalString(after, 'after');
+  if(!(Number.isInteger(limit) && limit > 0)) {
+    throw new TypeError('"limit" must be a positive integer.');
+  }
+  if(!(Number.isInteger(concurrency) && concurrency > 0)) {
+    throw new TypeError('"concurrency" must be a positive integer.');
   }
+
+  const {zcap: {autoRefreshThreshold}} = config.profile.profileAgent;
+  const refreshTime = new Date(Date.now() + autoRefreshThreshold);
+  const query = {
+    'profileAgent.zcaps.profileCapabilityInvocationKey.id': {$exists: true},
+    'profileAgent.zcaps.userDocument.expires': {
+      $lte: refreshTime.toISOString()
+    }
+  };
+  if(after !== undefined) {
+    query['profileAgent.id'] = {$gt: after};
+  }
+  const projection = {_id: 0};
   const collection = getCollection(COLLECTION_NAME);
-  const result = await collection.deleteOne(query);
-  if(result.deletedCount === 0) {
-    const details = {
-      id,
-      httpStatusCode: 404,
-      public: true
-    };
-    throw new BedrockError('Profile agent not found.', {
-      name: 'NotFoundError',
-      details
-    });
+  const records = await collection.find(query, {projection})
+    .sort({'profileAgent.id': 1})
+    .limit(limit)
+    .toArray();
+
+  const result = {refreshed: 0, failed: [], cursor: null};
+  const queue = records.slice();
+  const workers = Math.min(concurrency, queue.length);
+  await Promise.all(Array.from({length: workers}, async () => {
+    while(queue.length > 0) {
+      const record = queue.shift();
+      const {id, sequence} = record.profileAgent;
+      try {
+        const refreshedRecord = await _refreshZcaps(
+          {record: await RECORD_CIPHER.decryptRecordSecrets({record})});
+        if(refreshedRecord.profileAgent.sequence !== sequence) {
+          result.refreshed++;
+        }
+      } catch(error) {
+        logger.error(
+          `Could not refresh zcaps for profile agent "${id}".`, {error});
+        result.failed.push({id, error});
+      }
+    }
+  }));
+
+  if(records.length === limit) {
+    result.cursor = records.at(-1).profileAgent.id;
   }
+  return result;
 }
 
 export async function delegateCapabilities(
@@ -611,12 +1346,11 @@ export async function getProfileSigner({profileAgentRecord} = {}) {
       '"profileAgentRecord" must include "profileCapabilityInvocationKey" ' +
       'capability to get a profile capability invocation signer.');
   }
-  const profileSigner = await AsymmetricKey.fromCapability({
+  return utils.getProfileKey({
+    profileId: profileAgentRecord.profileAgent.profile,
     capability,
-    invocationSigner: await getSigner({profileAgentRecord}),
-    kmsClient: new KmsClient({httpsAgent})
+    invocationSigner: await getSigner({profileAgentRecord})
   });
-  return profileSigner;
 }
 
 /**
@@ -678,8 +1412,9 @@ export async function completeProfileProvisioning({profileAgentRecord}) {
     };
     delete newProfileAgent._meters;
     try {
-      profileAgentRecord = await update(
-        {profileAgent: newProfileAgent, includeSecrets: true});
+      profileAgentRecord = await _update({
+        profileAgent: newProfileAgent, includeSecrets: true, auditType: null
+      });
       break;
     } catch(e) {
       if(e.name !== 'InvalidStateError') {
@@ -691,36 +1426,745 @@ export async function completeProfileProvisioning({profileAgentRecord}) {
     }
   }
 
-  return {meters, profileAgentRecord};
+  return {meters, profileAgentRecord};
+}
+
+/**
+ * Determines whether a meter is used by a profile whose provisioning has not
+ * yet been completed via `completeProfileProvisioning()`, i.e., whose meter
+ * controllers have not yet been changed from the local application to the
+ * profile.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.meterId - The ID of the meter.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the meter is used by such
+ *   a profile, `false` if not.
+ */
+export async function isMeterPendingTransfer({meterId} = {}) {
+  assert.string(meterId, 'meterId');
+
+  const query = {
+    $or: [
+      {'profileAgent._meters.kmsMeter.id': meterId},
+      {'profileAgent._meters.edvMeter.id': meterId}
+    ]
+  };
+  const projection = {_id: 1};
+  const collection = getCollection(COLLECTION_NAME);
+  const record = await collection.findOne(query, {projection});
+  return !!record;
+}
+
+/**
+ * Refreshes a capability (zcap). The zcap must have a capability chain length
+ * of 1 and have been previously delegated by a profile that matches the
+ * given `profileSigner`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.capability - The capability to refresh.
+ * @param {object} options.profileSigner - The profile signer to use.
+ * @param {number|Date} options.now - The current datetime in milliseconds
+ *   since the epoch, or as a Date.
+ * @param {number|string|Date} [options.expires] - The new zcap expiration
+ *   datetime as an xmlschema datetimeStamp or in milliseconds since the epoch,
+ *   or as a Date; if not given, the `profile.profileAgent.zcap.ttl` value
+ *   from the bedrock config will be used.
+ *
+ * @returns {Promise<object>} Resolves to a fresh delegated zcap.
+ */
+export async function refreshCapability({
+  capability, profileSigner, now, expires
+} = {}) {
+  if(expires === undefined) {
+    const {zcap: {ttl: {default: ttl}}} = config.profile.profileAgent;
+    expires = new Date(now + ttl);
+  } else if(typeof expires === 'number') {
+    expires = new Date(expires);
+  }
+  return zcaps.refresh({capability, expires, signer: profileSigner});
+}
+
+/**
+ * Revokes a capability (zcap) that was delegated by a profile, e.g., to one
+ * of its profile agents, so that it can no longer be used, even before it
+ * expires. The revocation is performed as the profile, using the given root
+ * profile agent record. Only zcaps for EDVs and WebKMS keys can be revoked;
+ * revoking a zcap that has already been revoked is not an error.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgentRecord - A root profile agent record
+ *   for the profile, including its secrets.
+ * @param {object} options.capability - The capability to revoke.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function revokeCapability({profileAgentRecord, capability} = {}) {
+  assert.object(profileAgentRecord, 'profileAgentRecord');
+  assert.object(capability, 'capability');
+  assert.string(capability.id, 'capability.id');
+  assert.string(capability.invocationTarget, 'capability.invocationTarget');
+
+  const profileSigner = await getProfileSigner({profileAgentRecord});
+  await _revokeCapability({capability, profileSigner});
+}
+
+/**
+ * Rotates the capability invocation key of a Profile Agent, e.g., in response
+ * to suspected key exposure.
+ *
+ * A new key is generated in the profile agent's keystore and every zcap that
+ * the profile delegated to the profile agent, including those in its user
+ * EDV document, is delegated again, by the profile, to the DID of the new key,
+ * with the same expiration. The user EDV document and then the profile agent
+ * record are updated to use the new key and zcaps; the record is only
+ * updated if its `sequence` has not changed, otherwise the zcaps delegated to
+ * the new key are revoked and the process restarts, reusing the new key.
+ * Finally, the old key is retired by revoking the zcaps that were delegated
+ * to it.
+ *
+ * The profile agent's ID does not change, but the controller of its zcaps
+ * becomes the DID of its new key. A root profile agent for the profile must
+ * exist; it may be the profile agent whose key is rotated.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the profile agent.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to the updated ProfileAgent record,
+ *   including its secrets.
+ */
+export async function rotateKey({id, actor} = {}) {
+  assert.string(id, 'id');
+
+  /* Note: Should this process fail after the user EDV doc is updated but
+  before the record is, the profile agent's zcaps will not match its key
+  until the process is run again, which generates another new key and
+  redelegates every zcap to it. */
+
+  // 1. Generate a new key in the profile agent's keystore; it is reused
+  //   should the record update below need to be retried.
+  let record = await get({id, includeSecrets: true, refresh: 'skip'});
+  const {keystoreAgent} = await getAgents(record);
+  const key = await keystoreAgent.generateKey({
+    type: 'asymmetric',
+    publicAliasTemplate: getPublicAliasTemplate({didMethod: 'key'})
+  });
+
+  while(true) {
+    // 2. Get a root profile agent record to act as the profile.
+    const rootAgentRecord = await _getRootAgentRecord(
+      {profileAgentRecord: record});
+    const profileSigner = await getProfileSigner(
+      {profileAgentRecord: rootAgentRecord});
+    const newProfileAgent = {
+      ...record.profileAgent,
+      sequence: record.profileAgent.sequence + 1,
+      capabilityInvocationKey: {
+        id: key.id,
+        type: key.type,
+        kmsId: key.kmsId
+      }
+    };
+
+    // 3. Redelegate the profile agent's zcaps to the new key and update its
+    //   user EDV doc.
+    const {zcaps: newZcaps, replaced} = await _redelegateProfileAgentZcaps({
+      profileAgent: record.profileAgent, profileSigner,
+      controller: utils.getProfileAgentController(
+        {profileAgent: newProfileAgent})
+    });
+    newProfileAgent.zcaps = newZcaps;
+
+    // 4. Update the profile agent record.
+    let newRecord;
+    try {
+      newRecord = await _update({
+        profileAgent: newProfileAgent, includeSecrets: true, actor,
+        auditType: 'profileAgent.keyRotated'
+      });
+    } catch(e) {
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+      // concurrent process updated record; revoke the zcaps this attempt
+      // delegated (any that were written to the user EDV doc are replaced
+      // by the next attempt), then try again
+      const results = await Promise.allSettled(Object.values(newZcaps).map(
+        capability => _revokeCapability({capability, profileSigner})));
+      for(const {status, reason: error} of results) {
+        if(status === 'rejected') {
+          logger.error(
+            'Could not revoke a capability delegated during an interrupted ' +
+            `key rotation for profile agent "${id}".`, {error});
+        }
+      }
+      record = await get({id, includeSecrets: true, refresh: 'skip'});
+      continue;
+    }
+
+    // 5. Retire the old key by revoking the replaced zcaps; a rotated root
+    //   profile agent revokes them using its new zcaps.
+    const revoker = rootAgentRecord === record ? newRecord : rootAgentRecord;
+    const revokerSigner = await getProfileSigner(
+      {profileAgentRecord: revoker});
+    const results = await Promise.allSettled(replaced.map(
+      capability => _revokeCapability(
+        {capability, profileSigner: revokerSigner})));
+    const failed = replaced.filter(
+      (capability, i) => results[i].status === 'rejected');
+    if(failed.length > 0) {
+      throw new BedrockError(
+        'Profile agent key was rotated but some of the capabilities ' +
+        'delegated to its previous key could not be revoked.', {
+          name: 'OperationError',
+          cause: results.find(({status}) => status === 'rejected').reason,
+          details: {
+            profileAgent: id,
+            capabilities: failed.map(capability => capability.id),
+            httpStatusCode: 500,
+            public: true
+          }
+        });
+    }
+    return newRecord;
+  }
+}
+
+/**
+ * Rotates the seed from which a Profile Agent's keystore controller is
+ * derived. A new seed is generated, the profile agent's keystore config is
+ * updated, using the current controller, to make the controller derived from
+ * the new seed its controller, and the new seed then replaces the current one
+ * in the profile agent record.
+ *
+ * The new seed is stored as `secrets.pendingSeed`, alongside the current
+ * seed, before the keystore config is updated, so a failure at any point
+ * never leaves the keystore without a stored controller seed. Calling this
+ * function again after a failure completes the interrupted rotation.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the profile agent.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to the updated ProfileAgent record,
+ *   including its secrets.
+ */
+export async function rotateSeed({id, actor} = {}) {
+  assert.string(id, 'id');
+
+  // 1. Store a new seed as a pending seed, unless an interrupted rotation
+  //   has already stored one.
+  let record = await get({id, includeSecrets: true, refresh: 'skip'});
+  while(!record.secrets.pendingSeed) {
+    const {profileAgent, secrets} = record;
+    const {secret: pendingSeed} = await createCapabilityAgent();
+    try {
+      record = await _update({
+        profileAgent: {...profileAgent, sequence: profileAgent.sequence + 1},
+        secrets: {...secrets, pendingSeed},
+        includeSecrets: true,
+        auditType: null
+      });
+    } catch(e) {
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+      // concurrent process updated record, get updated record and try again
+      record = await get({id, includeSecrets: true, refresh: 'skip'});
+    }
+  }
+
+  // 2. Update the keystore controller using the current controller, unless
+  //   an interrupted rotation has already updated it.
+  const {pendingSeed} = record.secrets;
+  const [current, pending] = await Promise.all([
+    record.secrets.seed, pendingSeed
+  ].map(secret => CapabilityAgent.fromSecret({handle: 'primary', secret})));
+  const {keystore: keystoreId} = record.profileAgent;
+  let keystoreConfig;
+  try {
+    keystoreConfig = await _getKeystoreConfig(
+      {capabilityAgent: current, keystoreId});
+  } catch(e) {
+    // the current controller may no longer control the keystore
+    keystoreConfig = await _getKeystoreConfig(
+      {capabilityAgent: pending, keystoreId});
+  }
+  if(keystoreConfig.controller !== pending.id) {
+    await kms.updateKeystoreConfig({
+      keystoreAgent: kms.getKeystoreAgent(
+        {capabilityAgent: current, keystoreId}),
+      keystoreConfig: {...keystoreConfig, controller: pending.id}
+    });
+  }
+
+  // 3. Replace the current seed w/ the pending seed.
+  while(true) {
+    const {profileAgent, secrets} = record;
+    if(!(secrets.pendingSeed && (await CapabilityAgent.fromSecret(
+      {handle: 'primary', secret: secrets.pendingSeed})).id === pending.id)) {
+      // a concurrent process completed the rotation
+      return record;
+    }
+    const newSecrets = {...secrets, seed: pendingSeed};
+    delete newSecrets.pendingSeed;
+    try {
+      return await _update({
+        profileAgent: {
+          ...profileAgent,
+          sequence: profileAgent.sequence + 1,
+          controller: pending.id
+        },
+        secrets: newSecrets,
+        includeSecrets: true,
+        actor,
+        auditType: 'profileAgent.seedRotated'
+      });
+    } catch(e) {
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+      // concurrent process updated record, get updated record and try again
+      record = await get({id, includeSecrets: true, refresh: 'skip'});
+    }
+  }
+}
+
+/**
+ * Promotes a Profile Agent to be a root profile agent for its Profile, e.g.,
+ * so that an organization can have several administrators. The profile,
+ * using the given root profile agent, delegates to the profile agent a zcap
+ * for the profile's capability invocation key and a zcap for each zcap in the
+ * given root profile agent's user EDV document, including every profile EDV
+ * zcap. These are added to the profile agent's user EDV document and the
+ * profile capability invocation key zcap is also added to its record.
+ *
+ * If this process fails, it can be safely run again; zcaps that were added
+ * to the profile agent's user EDV document by a previous run are reused.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileId - The ID of the profile.
+ * @param {string} options.id - The ID of the profile agent to promote.
+ * @param {object} options.rootAgentRecord - A root profile agent record for
+ *   the profile, including its secrets.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to the updated ProfileAgent record,
+ *   including its secrets.
+ */
+export async function promoteToRoot({
+  profileId, id, rootAgentRecord, actor
+} = {}) {
+  assert.string(profileId, 'profileId');
+  assert.string(id, 'id');
+  _assertRootAgentRecord({profileId, rootAgentRecord});
+
+  let record = await get({id, includeSecrets: true, refresh: 'skip'});
+  _assertProfileAgentOfProfile({profileId, profileAgentRecord: record});
+  if(record.profileAgent.zcaps?.profileCapabilityInvocationKey) {
+    throw new BedrockError(
+      'Profile agent is already a root profile agent.', {
+        name: 'DuplicateError',
+        details: {profileAgent: id, httpStatusCode: 409, public: true}
+      });
+  }
+
+  /* 1. Read the root profile agent's user EDV doc, as the profile, and
+  delegate each of its zcaps that was delegated by the profile, other than
+  the zcap for the doc itself, to the profile agent. An equivalent zcap in
+  the profile agent's user EDV doc, e.g., one added by a previous run that
+  failed, is reused instead so that it is not overwritten w/o revocation. */
+  const profileSigner = await getProfileSigner(
+    {profileAgentRecord: rootAgentRecord});
+  const {verificationMethod} = rootAgentRecord.profileAgent.zcaps
+    .profileCapabilityInvocationKey.proof;
+  const [rootEdvClient, agentEdvClient] = await Promise.all([
+    _getUserEdvClient(
+      {profileAgent: rootAgentRecord.profileAgent, profileSigner}),
+    _getUserEdvClient({profileAgent: record.profileAgent, profileSigner})
+  ]);
+  const [
+    {content: {zcaps: docZcaps}},
+    {content: {zcaps: agentDocZcaps = {}}}
+  ] = await Promise.all([
+    rootEdvClient.edvClient.get({id: rootEdvClient.docId}),
+    agentEdvClient.edvClient.get({id: agentEdvClient.docId})
+  ]);
+  const rootZcaps = {
+    ...docZcaps,
+    profileCapabilityInvocationKey:
+      rootAgentRecord.profileAgent.zcaps.profileCapabilityInvocationKey
+  };
+  const controller = utils.getProfileAgentController(record);
+  const {zcap: {ttl}} = config.profile.profileAgent;
+  const now = Date.now();
+  const delegations = new Map();
+  for(const [zcapName, capability] of Object.entries(rootZcaps)) {
+    if(zcapName === 'userDocument' ||
+      !_isProfileDelegated({verificationMethod, zcap: capability})) {
+      continue;
+    }
+    const existing = agentDocZcaps[zcapName];
+    if(existing && _isEquivalentZcap(
+      {zcap: existing, capability, controller, verificationMethod, now})) {
+      delegations.set(zcapName, existing);
+      continue;
+    }
+    const expires = new Date(now +
+      (zcapName === 'profileCapabilityInvocationKey' ?
+        ttl.profileCapabilityInvocationKey : ttl.default));
+    delegations.set(zcapName, zcaps.redelegate(
+      {capability, controller, expires, signer: profileSigner}));
+  }
+  await Promise.all([...delegations.values()]);
+  const delegatedZcaps = {};
+  for(const [zcapName, promise] of delegations) {
+    delegatedZcaps[zcapName] = await promise;
+  }
+
+  // 2. Add the new zcaps to the profile agent's user EDV doc.
+  await _updateUserEdvDocZcaps({
+    profileAgent: record.profileAgent, profileSigner,
+    updateZcaps: docZcaps => ({...docZcaps, ...delegatedZcaps})
+  });
+
+  /* 3. Add the profile capability invocation key zcap to the profile agent
+  record, making it a root profile agent. */
+  while(true) {
+    const {profileAgent} = record;
+    try {
+      return await _update({
+        profileAgent: {
+          ...profileAgent,
+          sequence: profileAgent.sequence + 1,
+          zcaps: {
+            ...profileAgent.zcaps,
+            profileCapabilityInvocationKey:
+              delegatedZcaps.profileCapabilityInvocationKey
+          }
+        },
+        includeSecrets: true,
+        actor,
+        auditType: 'profileAgent.promoted'
+      });
+    } catch(e) {
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+      // concurrent process updated record, get updated record and try again
+      record = await get({id, includeSecrets: true, refresh: 'skip'});
+    }
+  }
+}
+
+/**
+ * Demotes a root Profile Agent so that it is no longer a root profile agent
+ * for its Profile, e.g., when an administrator leaves an organization. The
+ * profile capability invocation key zcap and every profile EDV zcap, other
+ * than the zcaps it needs to read its own user EDV document and the profile's
+ * user EDV document, are revoked, using another root profile agent, and are
+ * then removed from the profile agent's user EDV document and record.
+ *
+ * If this process fails, it can be safely run again; zcaps are only removed
+ * once they have been revoked, so a rerun finds and revokes any zcaps that a
+ * previous run failed to revoke.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileId - The ID of the profile.
+ * @param {string} options.id - The ID of the profile agent to demote.
+ * @param {object} options.rootAgentRecord - Another root profile agent record
+ *   for the profile, including its secrets; this ensures that the profile
+ *   will still have a root profile agent.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to the updated ProfileAgent record,
+ *   including its secrets.
+ */
+export async function demoteFromRoot({
+  profileId, id, rootAgentRecord, actor
+} = {}) {
+  assert.string(profileId, 'profileId');
+  assert.string(id, 'id');
+  _assertRootAgentRecord({profileId, rootAgentRecord});
+  if(rootAgentRecord.profileAgent.id === id) {
+    throw new TypeError(
+      '"rootAgentRecord" must be a different root profile agent than the ' +
+      'one to demote.');
+  }
+
+  let record = await get({id, includeSecrets: true, refresh: 'skip'});
+  _assertProfileAgentOfProfile({profileId, profileAgentRecord: record});
+  if(!record.profileAgent.zcaps?.profileCapabilityInvocationKey) {
+    throw new BedrockError(
+      'Profile agent is not a root profile agent.', {
+        name: 'NotFoundError',
+        details: {profileAgent: id, httpStatusCode: 404, public: true}
+      });
+  }
+
+  const profileSigner = await getProfileSigner(
+    {profileAgentRecord: rootAgentRecord});
+  const {verificationMethod} = rootAgentRecord.profileAgent.zcaps
+    .profileCapabilityInvocationKey.proof;
+  const isRootZcap = ([zcapName, zcap]) =>
+    !NON_ROOT_USER_DOC_ZCAPS.has(zcapName) &&
+    _isProfileDelegated({verificationMethod, zcap});
+
+  /* 1. Revoke the root zcaps in the profile agent's user EDV doc and the
+  profile capability invocation key zcap in its record. This is done before
+  any zcaps are removed so that, should revocation fail, the process can be
+  run again to find and revoke them. */
+  const {edvClient, docId} = await _getUserEdvClient(
+    {profileAgent: record.profileAgent, profileSigner});
+  const {content: {zcaps: docZcaps = {}}} = await edvClient.get({id: docId});
+  const revoked = new Map();
+  for(const [zcapName, zcap] of Object.entries(docZcaps)) {
+    if(isRootZcap([zcapName, zcap])) {
+      revoked.set(zcap.id, zcap);
+    }
+  }
+  const {profileCapabilityInvocationKey} = record.profileAgent.zcaps;
+  revoked.set(
+    profileCapabilityInvocationKey.id, profileCapabilityInvocationKey);
+  await Promise.all([...revoked.values()].map(
+    capability => _revokeCapability({capability, profileSigner})));
+
+  /* 2. Remove the root zcaps from the profile agent's user EDV doc. Any that
+  were added after the doc was read, e.g., by zcap auto-refresh, are revoked
+  once removed. */
+  const removed = new Map();
+  await _updateUserEdvDocZcaps({
+    profileAgent: record.profileAgent, profileSigner,
+    updateZcaps: docZcaps => {
+      removed.clear();
+      const newZcaps = {};
+      for(const entry of Object.entries(docZcaps)) {
+        const [zcapName, zcap] = entry;
+        if(isRootZcap(entry)) {
+          removed.set(zcap.id, zcap);
+        } else {
+          newZcaps[zcapName] = zcap;
+        }
+      }
+      return newZcaps;
+    }
+  });
+  await Promise.all([...removed.values()]
+    .filter(({id}) => !revoked.has(id))
+    .map(capability => _revokeCapability({capability, profileSigner})));
+
+  // 3. Remove the profile capability invocation key zcap from the record.
+  while(true) {
+    const {profileAgent} = record;
+    const newProfileAgent = {
+      ...profileAgent,
+      sequence: profileAgent.sequence + 1,
+      zcaps: {...profileAgent.zcaps}
+    };
+    delete newProfileAgent.zcaps.profileCapabilityInvocationKey;
+    try {
+      return await _update({
+        profileAgent: newProfileAgent,
+        includeSecrets: true,
+        actor,
+        auditType: 'profileAgent.demoted'
+      });
+    } catch(e) {
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+      // concurrent process updated record, get updated record and try again
+      record = await get({id, includeSecrets: true, refresh: 'skip'});
+    }
+  }
+}
+
+// inserts a profile agent record, recording an audit event of the given type
+async function _insert({
+  record, actor, auditType = 'profileAgent.created', auditDetails
+} = {}) {
+  assert.object(record, 'record');
+  assert.object(record.meta, 'record.meta');
+  assert.object(record.profileAgent, 'record.profileAgent');
+  assert.object(record.secrets, 'record.secrets');
+
+  // never store a token, only its hash
+  const {secrets, tokenHash} = _removeTokenFromSecrets(
+    {secrets: record.secrets});
+  if(tokenHash) {
+    record = {...record, secrets, tokenHash};
+  }
+
+  try {
+    const collection = getCollection(COLLECTION_NAME);
+    // encrypt secrets according to configuration
+    const updatedRecord = await RECORD_CIPHER.encryptRecordSecrets({record});
+    await collection.insertOne(updatedRecord);
+  } catch(cause) {
+    if(!database.isDuplicateError(cause)) {
+      throw cause;
+    }
+    throw new BedrockError('Duplicate profile agent.', {
+      name: 'DuplicateError',
+      cause,
+      details: {
+        public: true,
+        httpStatusCode: 409
+      }
+    });
+  }
+  await _audit({type: auditType, record, actor, details: auditDetails});
+  // never return the token hash
+  // eslint-disable-next-line no-unused-vars
+  const {tokenHash: hash, ...result} = record;
+  return result;
+}
+
+// updates a profile agent record, setting its token hash to `tokenHash` (or
+// removing it if `null`) and recording an audit event of the given type (or
+// none if `null`)
+async function _update({
+  profileAgent, includeSecrets = false, secrets, actor, tokenHash,
+  auditType = 'profileAgent.updated'
+} = {}) {
+  _assertProfileAgent(profileAgent);
+
+  // build update
+  const {id} = profileAgent;
+  const query = {
+    'profileAgent.id': id,
+    // existing profile agent must be `1` before the new update
+    'profileAgent.sequence': profileAgent.sequence - 1
+  };
+  const $set = {
+    'meta.updated': Date.now(),
+    profileAgent
+  };
+  const update = {$set};
+  if(secrets) {
+    // never store a token, only its hash
+    let legacyTokenHash;
+    ({
+      secrets, tokenHash: legacyTokenHash
+    } = _removeTokenFromSecrets({secrets}));
+    if(legacyTokenHash && tokenHash === undefined) {
+      tokenHash = legacyTokenHash;
+    }
+
+    // handle `secrets` update
+    const record = {profileAgent, secrets};
+    const {
+      encryptedSecrets
+    } = await RECORD_CIPHER.encryptRecordSecrets({record});
+    if(encryptedSecrets) {
+      $set.encryptedSecrets = encryptedSecrets;
+      update.$unset = {secrets: true};
+    } else {
+      $set.secrets = secrets;
+      update.$unset = {encryptedSecrets: true};
+    }
+  }
+  if(tokenHash === null) {
+    update.$unset = {...update.$unset, tokenHash: true};
+  } else if(tokenHash !== undefined) {
+    $set.tokenHash = tokenHash;
+  }
+
+  // exclude secrets info by default from returned record; never include
+  // token hash
+  const projection = {_id: 0, secrets: 0, encryptedSecrets: 0, tokenHash: 0};
+  if(includeSecrets) {
+    // do not exclude secrets info per request
+    delete projection.secrets;
+    delete projection.encryptedSecrets;
+  }
+
+  // perform update and return updated record
+  const collection = getCollection(COLLECTION_NAME);
+  const result = await collection.findOneAndUpdate(query, update, {
+    projection,
+    promoteBuffers: true,
+    returnDocument: 'after',
+    includeResultMetadata: true
+  });
+  if(result.lastErrorObject?.updatedExisting === false) {
+    const details = {
+      profileAgent: id,
+      httpStatusCode: 409,
+      public: true
+    };
+    throw new BedrockError(
+      'Could not update profile agent; ' +
+      'profile agent either not found or unexpected sequence number.', {
+        name: 'InvalidStateError',
+        details
+      });
+  }
+
+  if(auditType) {
+    await _audit({type: auditType, record: result.value, actor});
+  }
+  return RECORD_CIPHER.decryptRecordSecrets({record: result.value});
 }
 
-/**
- * Refreshes a capability (zcap). The zcap must have a capability chain length
- * of 1 and have been previously delegated by a profile that matches the
- * given `profileSigner`.
- *
- * @param {object} options - The options to use.
- * @param {object} options.capability - The capability to refresh.
- * @param {object} options.profileSigner - The profile signer to use.
- * @param {number|Date} options.now - The current datetime in milliseconds
- *   since the epoch, or as a Date.
- * @param {number|string|Date} [options.expires] - The new zcap expiration
- *   datetime as an xmlschema datetimeStamp or in milliseconds since the epoch,
- *   or as a Date; if not given, the `profile.profileAgent.zcap.ttl` value
- *   from the bedrock config will be used.
- *
- * @returns {Promise<object>} Resolves to a fresh delegated zcap.
- */
-export async function refreshCapability({
-  capability, profileSigner, now, expires
+// removes a profile agent record, recording an audit event of the given type
+async function _remove({
+  id, account, revokeCapabilities = false, actor,
+  auditType = 'profileAgent.removed'
 } = {}) {
-  if(expires === undefined) {
-    const {zcap: {ttl: {default: ttl}}} = config.profile.profileAgent;
-    expires = new Date(now + ttl);
-  } else if(typeof expires === 'number') {
-    expires = new Date(expires);
+  assert.string(id, 'id');
+  assert.optionalString(account, 'account');
+  assert.bool(revokeCapabilities, 'revokeCapabilities');
+
+  const query = {'profileAgent.id': id};
+  if(account) {
+    // account must also match, if given
+    query['profileAgent.account'] = account;
   }
-  return zcaps.refresh({capability, expires, signer: profileSigner});
+  const collection = getCollection(COLLECTION_NAME);
+  let details;
+  if(revokeCapabilities) {
+    // revoke zcaps before removing the record so that the operation can be
+    // retried should revocation fail; if the record is not found, the error
+    // is thrown below
+    const record = await collection.findOne(query, {projection: {_id: 0}});
+    if(record) {
+      const {revoked} = await _revokeProfileAgentZcaps({
+        profileAgentRecord: await RECORD_CIPHER.decryptRecordSecrets({record})
+      });
+      details = {revokedCapabilities: revoked};
+    }
+  }
+  const record = await collection.findOneAndDelete(
+    query, {projection: {_id: 0, profileAgent: 1}});
+  if(!record) {
+    const details = {
+      id,
+      httpStatusCode: 404,
+      public: true
+    };
+    throw new BedrockError('Profile agent not found.', {
+      name: 'NotFoundError',
+      details
+    });
+  }
+  await _audit({type: auditType, record, actor, details});
+}
+
+async function _audit({type, record: {profileAgent}, actor, details}) {
+  return audit.add({
+    type,
+    profileId: profileAgent.profile,
+    accountId: profileAgent.account,
+    profileAgentId: profileAgent.id,
+    actor,
+    details
+  });
 }
 
 function _assertProfileAgent(profileAgent) {
@@ -747,7 +2191,8 @@ async function _reconcileProfileAgentRecords({records}) {
     // if a profile agent has no `profile`, it is in an invalid state
     // and must be removed
     if(!profileAgent.profile) {
-      await remove({id: profileAgent.id});
+      await _remove(
+        {id: profileAgent.id, auditType: 'profileAgent.reconciledAway'});
       return;
     }
 
@@ -759,7 +2204,8 @@ async function _reconcileProfileAgentRecords({records}) {
     if(isRoot && !profileAgent.zcaps.userDocument) {
       // remove profile agent; meters are not removed because there may be
       // another root profile agent that is not invalid
-      await remove({id: profileAgent.id});
+      await _remove(
+        {id: profileAgent.id, auditType: 'profileAgent.reconciledAway'});
       return;
     }
 
@@ -779,7 +2225,7 @@ async function _reconcileProfileAgentRecords({records}) {
 }
 
 async function _createProfileAgent({
-  keystoreOptions, accountId, profileId, token
+  keystoreOptions, accountId, profileId, token, tokenExpires
 }) {
   assertKeystoreOptions(keystoreOptions, 'keystoreOptions');
   assert.optionalString(profileId, 'profileId');
@@ -790,6 +2236,9 @@ async function _createProfileAgent({
     throw new TypeError(
       '"accountId" and "token" are mutually exclusive options.');
   }
+  if(tokenExpires !== undefined && !token) {
+    throw new TypeError('"tokenExpires" requires "token".');
+  }
   if(!(accountId || profileId)) {
     throw new TypeError('"profileId" or "accountId" is required.');
   }
@@ -838,13 +2287,111 @@ async function _createProfileAgent({
   };
 
   const secrets = {seed};
-  if(token) {
-    secrets.token = token;
+  if(token && tokenExpires !== undefined) {
+    profileAgent.tokenExpires = _normalizeTokenExpires(tokenExpires);
   }
 
   return {profileAgent, secrets};
 }
 
+function _hashToken({token}) {
+  return createHmac('sha256', TOKEN_HASHING_KEY)
+    .update(token, 'utf8').digest('base64url');
+}
+
+// removes any (legacy) `token` from `secrets`, returning its hash
+function _removeTokenFromSecrets({secrets}) {
+  if(secrets.token === undefined) {
+    return {secrets};
+  }
+  const {token, ...rest} = secrets;
+  return {secrets: rest, tokenHash: _hashToken({token})};
+}
+
+async function _migrateLegacyToken({id, includeSecrets}) {
+  while(true) {
+    const record = await get({id, includeSecrets: true, _reconcile: false});
+    const {profileAgent, secrets} = record;
+    if(secrets.token === undefined) {
+      // concurrent process already migrated the token
+      return includeSecrets ?
+        record : removeSecretsFromRecords({records: [record]})[0];
+    }
+    const newProfileAgent = {
+      ...profileAgent,
+      sequence: profileAgent.sequence + 1
+    };
+    try {
+      // `_update()` replaces the token in `secrets` with its hash
+      return await _update({
+        profileAgent: newProfileAgent, includeSecrets, secrets,
+        auditType: null
+      });
+    } catch(e) {
+      // if concurrent process updated record, ignore and loop to try again,
+      // all other errors should be thrown as non-recoverable
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+    }
+  }
+}
+
+function _normalizeTokenExpires(tokenExpires) {
+  const date = new Date(tokenExpires);
+  if(!(['number', 'string'].includes(typeof tokenExpires) ||
+    tokenExpires instanceof Date) || isNaN(date)) {
+    throw new TypeError(
+      '"tokenExpires" must be a Date, a number, or a datetime string.');
+  }
+  return date.toISOString();
+}
+
+// sets (or, if `token` is not given, removes) a profile agent's token
+async function _updateToken({id, token, tokenExpires, actor}) {
+  if(tokenExpires !== undefined) {
+    tokenExpires = _normalizeTokenExpires(tokenExpires);
+  }
+  while(true) {
+    const {profileAgent, secrets} = await get(
+      {id, includeSecrets: true, _reconcile: false});
+    if(token && profileAgent.account) {
+      throw new BedrockError(
+        'Profile agents associated with an account cannot have tokens.', {
+          name: 'NotAllowedError',
+          details: {
+            profileAgent: id,
+            httpStatusCode: 403,
+            public: true
+          }
+        });
+    }
+    const newProfileAgent = {
+      ...profileAgent,
+      sequence: profileAgent.sequence + 1
+    };
+    delete newProfileAgent.tokenExpires;
+    if(token && tokenExpires !== undefined) {
+      newProfileAgent.tokenExpires = tokenExpires;
+    }
+    // any legacy token is removed from `secrets` by `_update()`
+    const tokenHash = token ? _hashToken({token}) : null;
+    try {
+      return await _update({
+        profileAgent: newProfileAgent, secrets, actor, tokenHash,
+        auditType: token ? 'profileAgent.tokenRotated' :
+          'profileAgent.tokenRevoked'
+      });
+    } catch(e) {
+      // if concurrent process updated record, ignore and loop to try again,
+      // all other errors should be thrown as non-recoverable
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+    }
+  }
+}
+
 async function _completeSecretsEncryption({record}) {
   while(RECORD_CIPHER.isSecretsEncryptionEnabled() &&
     !record.encryptedSecrets) {
@@ -857,8 +2404,9 @@ async function _completeSecretsEncryption({record}) {
         sequence: profileAgent.sequence + 1,
       };
       try {
-        return await update({
-          profileAgent: newProfileAgent, includeSecrets: true, secrets
+        return await _update({
+          profileAgent: newProfileAgent, includeSecrets: true, secrets,
+          auditType: null
         });
       } catch(e) {
         // if concurrent process updated record, ignore and fall through to
@@ -878,6 +2426,44 @@ async function _completeSecretsEncryption({record}) {
   return record;
 }
 
+function _hasStaleSecrets({record}) {
+  return !!(record.secrets ||
+    record.encryptedSecrets?.kekId !== CURRENT_KEK_ID);
+}
+
+async function _reencryptRecordSecrets({record}) {
+  const collection = getCollection(COLLECTION_NAME);
+  while(_hasStaleSecrets({record})) {
+    const {profileAgent, secrets} = await RECORD_CIPHER.decryptRecordSecrets(
+      {record});
+    const newProfileAgent = {
+      ...profileAgent,
+      sequence: profileAgent.sequence + 1,
+    };
+    try {
+      // `_update()` encrypts `secrets` using the current KEK
+      await _update(
+        {profileAgent: newProfileAgent, secrets, auditType: null});
+      return true;
+    } catch(e) {
+      // if concurrent process updated record, ignore and fall through to
+      // try again, all other errors should be thrown as non-recoverable
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+    }
+
+    // get updated raw record (w/o decrypting secrets) and try again
+    record = await collection.findOne(
+      {'profileAgent.id': profileAgent.id}, {projection: {_id: 0}});
+    if(!record) {
+      // record was concurrently removed
+      return false;
+    }
+  }
+  return false;
+}
+
 async function _insertMeter({meter}) {
   let record;
   try {
@@ -893,45 +2479,48 @@ async function _insertMeter({meter}) {
 
 async function _updateMeterController({meterId, controller}) {
   const {ZCAP_CLIENT: {invocationSigner}} = utils;
-
-  try {
-    while(true) {
-      // note: if the meter controller does not match the local application ID,
-      // then a `NotAllowedError` will be thrown
-      const {meter} = await meterClient.get({url: meterId, invocationSigner});
-      meter.controller = controller;
-
-      try {
-        await meterClient.update({meter, url: meterId, invocationSigner});
-      } catch(e) {
-        if((e.data && e.data.type) !== 'InvalidStateError') {
-          throw e;
-        }
-        // invalid state error when updating means sequence didn't match
-        // because meter was changed by another concurrent process, so loop to
-        // try again
-      }
-    }
-  } catch(e) {
-    // if getting or updating the meter is not allowed; we presume it has
-    // already been updated to the profile ID -- future code could be added to
-    // attempt to get the meter using the profile's invocation signer if it
-    // is really necessary to verify this assumption
-    if((e.data && e.data.type === 'NotAllowedError')) {
-      return;
-    }
-  }
+  return meterClient.updateController(
+    {url: meterId, controller, invocationSigner});
 }
 
 async function _getProfileAgentRecords({accountId}) {
   const query = {'profileAgent.account': accountId};
-  const projection = {_id: 0};
+  const projection = {_id: 0, tokenHash: 0};
   const collection = getCollection(COLLECTION_NAME);
   return collection.find(query, {projection}).toArray();
 }
 
-async function _refreshProfileAgentZcaps({records}) {
-  return Promise.all(records.map(record => _refreshZcaps({record})));
+function _assertRefreshMode(refresh) {
+  if(!REFRESH_MODES.has(refresh)) {
+    throw new TypeError(
+      '"refresh" must be one of "required", "bestEffort", or "skip".');
+  }
+}
+
+async function _refreshProfileAgentZcaps({records, refresh = 'required'}) {
+  if(refresh === 'skip') {
+    return records;
+  }
+  return Promise.all(records.map(async record => {
+    try {
+      return await _refreshZcaps({record});
+    } catch(error) {
+      if(refresh !== 'bestEffort' || _hasExpiredZcaps({record})) {
+        throw error;
+      }
+      // zcaps are still usable; return record annotated with the error
+      const {id} = record.profileAgent;
+      logger.error(
+        `Could not refresh zcaps for profile agent "${id}".`, {error});
+      return {...record, refreshError: error};
+    }
+  }));
+}
+
+function _hasExpiredZcaps({record}) {
+  const {userDocument} = record.profileAgent.zcaps ?? {};
+  // `user-edv-kak` always has the same expiration as `userDocument`
+  return !userDocument || !(Date.parse(userDocument.expires) > Date.now());
 }
 
 async function _refreshZcaps({record}) {
@@ -957,11 +2546,13 @@ async function _refreshZcaps({record}) {
     since it was last read. If the update fails, read the record again and
     restart the process.
 
-  Note: Any failure during the auto-refresh process will cause the profile
-  agent record to fail to be retrieved, blocking the ability to retrieve the
-  profile agent record until the error is addressed. This provides a
-  consistent view of the record (with always-refreshed zcaps). Future versions
-  of this module may relax this to allow for retrieval with expired zcaps. */
+  Note: By default (`refresh: 'required'`), any failure during the
+  auto-refresh process will cause the profile agent record to fail to be
+  retrieved, blocking the ability to retrieve the profile agent record until
+  the error is addressed. This provides a consistent view of the record (with
+  always-refreshed zcaps). Callers can instead use `refresh: 'bestEffort'` to
+  retrieve the record, annotated with a `refreshError`, as long as its zcaps
+  have not yet expired. */
 
   const {zcap: {autoRefreshThreshold}} = config.profile.profileAgent;
 
@@ -1006,8 +2597,10 @@ async function _refreshZcaps({record}) {
     // update the profile agent record
     try {
       newRecord.profileAgent.sequence++;
-      return await update(
-        {profileAgent: newRecord.profileAgent, includeSecrets: true});
+      return await _update({
+        profileAgent: newRecord.profileAgent, includeSecrets: true,
+        auditType: 'profileAgent.zcapsRefreshed'
+      });
     } catch(e) {
       if(e.name !== 'InvalidStateError') {
         throw e;
@@ -1041,10 +2634,9 @@ async function _getUserEdvDocument({profileAgentRecord, zcaps, kmsClient}) {
   const {userDocument: capability} = zcaps;
   const edvClient = new EdvClient({capability, httpsAgent, keyResolver});
   // ensure core indexes are set
-  edvClient.ensureIndex({attribute: 'content.id', unique: true});
-  edvClient.ensureIndex({attribute: 'content.type'});
-  edvClient.ensureIndex({attribute: 'content.name'});
-  edvClient.ensureIndex({attribute: 'content.email'});
+  for(const index of USER_EDV_INDEXES) {
+    edvClient.ensureIndex(index);
+  }
   const keyAgreementKey = await KeyAgreementKey.fromCapability(
     {capability: zcaps['user-edv-kak'], invocationSigner, kmsClient});
   const doc = new EdvDocument({
@@ -1056,6 +2648,19 @@ async function _getUserEdvDocument({profileAgentRecord, zcaps, kmsClient}) {
   return doc;
 }
 
+// determines whether a zcap is an unexpired zcap, delegated by the profile,
+// that grants `controller` the same access as `capability`
+function _isEquivalentZcap({
+  zcap, capability, controller, verificationMethod, now
+}) {
+  return zcap.controller === controller &&
+    zcap.invocationTarget === capability.invocationTarget &&
+    JSON.stringify(zcap.allowedAction) ===
+      JSON.stringify(capability.allowedAction) &&
+    Date.parse(zcap.expires) > now &&
+    _isProfileDelegated({verificationMethod, zcap});
+}
+
 function _isProfileDelegated({verificationMethod, zcap}) {
   return (zcap.proof?.proofPurpose === 'capabilityDelegation' &&
     zcap.proof?.verificationMethod === verificationMethod);
@@ -1157,6 +2762,12 @@ async function _refreshUserEdvDocZcaps({
       invocationSigner: edvDoc.invocationSigner,
       kmsClient
     });
+    // ensure any additional profile user EDV indexes are preserved
+    await utils.ensureProfileIndexes({
+      edvClient: edvDoc.client, zcaps: doc.content.zcaps,
+      invocationSigner: edvDoc.invocationSigner,
+      keyAgreementKey: edvDoc.keyAgreementKey
+    });
 
     try {
       await edvDoc.write({doc});
@@ -1186,3 +2797,243 @@ async function _refreshUserEdvDocZcaps({
  * @property {string} [options.kmsModule] - The KMS module to use to create
  *   a keystore.
  */
+
+async function _revokeCapability({capability, profileSigner}) {
+  const {invocationTarget} = capability;
+  try {
+    if(invocationTarget.includes('/keys/')) {
+      const kmsClient = new KmsClient({
+        keystoreId: utils.parseKeystoreId(invocationTarget), httpsAgent
+      });
+      await kmsClient.revokeCapability(
+        {capabilityToRevoke: capability, invocationSigner: profileSigner});
+    } else if(invocationTarget.includes('/documents')) {
+      const edvClient = new EdvClient(
+        {id: utils.parseEdvId(capability), httpsAgent});
+      await edvClient.revokeCapability(
+        {capabilityToRevoke: capability, invocationSigner: profileSigner});
+    } else {
+      throw new BedrockError(
+        `Capability invocation target "${invocationTarget}" is not an EDV ` +
+        'or a WebKMS key; it cannot be revoked.', {
+          name: 'NotSupportedError',
+          details: {
+            capability: capability.id,
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+  } catch(e) {
+    // the WebKMS client wraps duplicate errors
+    if(e.name === 'DuplicateError' || e.cause?.name === 'DuplicateError') {
+      // zcap already revoked
+      return;
+    }
+    throw e;
+  }
+}
+
+function _assertRootAgentRecord({profileId, rootAgentRecord}) {
+  assert.object(rootAgentRecord, 'rootAgentRecord');
+  const {profileAgent} = rootAgentRecord;
+  if(!(profileAgent?.profile === profileId &&
+    profileAgent.zcaps?.profileCapabilityInvocationKey)) {
+    throw new TypeError(
+      '"rootAgentRecord" must be a root profile agent for profile ' +
+      `"${profileId}".`);
+  }
+}
+
+function _assertProfileAgentOfProfile({profileId, profileAgentRecord}) {
+  const {profileAgent} = profileAgentRecord;
+  if(profileAgent.profile !== profileId) {
+    throw new BedrockError(
+      `Profile agent not found for profile "${profileId}".`, {
+        name: 'NotFoundError',
+        details: {
+          profile: profileId,
+          profileAgent: profileAgent.id,
+          httpStatusCode: 404,
+          public: true
+        }
+      });
+  }
+}
+
+async function _getKeystoreConfig({capabilityAgent, keystoreId}) {
+  const keystoreAgent = kms.getKeystoreAgent({capabilityAgent, keystoreId});
+  return keystoreAgent.kmsClient.getKeystore(
+    {invocationSigner: capabilityAgent.getSigner()});
+}
+
+async function _getRootAgentRecord({profileAgentRecord}) {
+  // use the profile agent itself, if it is a root profile agent, otherwise
+  // use another root profile agent
+  const {profileAgent} = profileAgentRecord;
+  if(profileAgent.zcaps?.profileCapabilityInvocationKey) {
+    return profileAgentRecord;
+  }
+  const [rootAgentRecord] = await getRootAgents({
+    profileId: profileAgent.profile, includeSecrets: true, refresh: 'skip'
+  });
+  if(!rootAgentRecord) {
+    throw new BedrockError(
+      `No root profile agent found for profile "${profileAgent.profile}".`, {
+        name: 'NotFoundError',
+        details: {
+          profile: profileAgent.profile,
+          profileAgent: profileAgent.id,
+          httpStatusCode: 404,
+          public: true
+        }
+      });
+  }
+  return rootAgentRecord;
+}
+
+async function _getUserEdvClient({profileAgent, profileSigner}) {
+  /* Note: The profile agent's user EDV doc is accessed as the profile, which
+  controls the user EDV, not as the profile agent, so that it can be accessed
+  regardless of the state of the profile agent's own zcaps. */
+  const {zcaps: {userDocument}} = profileAgent;
+  const {edvClient} = await utils.getProfileEdvClient({
+    edvId: utils.parseEdvId(userDocument), profileSigner,
+    indexes: USER_EDV_INDEXES
+  });
+  return {edvClient, docId: utils.parseEdvDocumentId(userDocument)};
+}
+
+async function _updateUserEdvDocZcaps({
+  profileAgent, profileSigner, updateZcaps
+}) {
+  const {edvClient, docId} = await _getUserEdvClient(
+    {profileAgent, profileSigner});
+  while(true) {
+    const doc = await edvClient.get({id: docId});
+    doc.content.zcaps = updateZcaps(doc.content.zcaps ?? {});
+    // ensure any additional profile user EDV indexes are preserved
+    await utils.ensureProfileIndexes({edvClient, zcaps: doc.content.zcaps});
+    try {
+      await edvClient.update({doc});
+      return;
+    } catch(e) {
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+      // loop to retry
+    }
+  }
+}
+
+async function _redelegateProfileAgentZcaps({
+  profileAgent, profileSigner, controller
+}) {
+  const {zcaps: agentZcaps} = profileAgent;
+  const {edvClient, docId} = await _getUserEdvClient(
+    {profileAgent, profileSigner});
+  const {id: verificationMethod} = profileSigner;
+
+  while(true) {
+    // read the user EDV doc; only zcaps delegated by the profile and those
+    // in the record are redelegated and then replaced
+    const doc = await edvClient.get({id: docId});
+    const docZcaps = doc.content.zcaps ?? {};
+    const previous = {...agentZcaps};
+    for(const [zcapName, zcap] of Object.entries(docZcaps)) {
+      if(!previous[zcapName] &&
+        _isProfileDelegated({verificationMethod, zcap})) {
+        previous[zcapName] = zcap;
+      }
+    }
+    const replaced = new Map();
+    for(const [zcapName, zcap] of Object.entries(docZcaps)) {
+      if(previous[zcapName]) {
+        replaced.set(zcap.id, zcap);
+      }
+    }
+    for(const zcap of Object.values(agentZcaps)) {
+      replaced.set(zcap.id, zcap);
+    }
+
+    // redelegate each zcap to the new controller w/ the same expiration
+    const redelegations = new Map();
+    for(const [zcapName, capability] of Object.entries(previous)) {
+      redelegations.set(zcapName, zcaps.redelegate({
+        capability, controller, expires: capability.expires,
+        signer: profileSigner
+      }));
+    }
+    await Promise.all([...redelegations.values()]);
+    const newZcaps = {};
+    for(const [zcapName, promise] of redelegations) {
+      newZcaps[zcapName] = await promise;
+    }
+
+    // update the user EDV doc, ensuring any additional profile user EDV
+    // indexes are preserved
+    for(const zcapName of Object.keys(docZcaps)) {
+      if(newZcaps[zcapName]) {
+        docZcaps[zcapName] = newZcaps[zcapName];
+      }
+    }
+    await utils.ensureProfileIndexes({edvClient, zcaps: docZcaps});
+    try {
+      await edvClient.update({doc});
+    } catch(e) {
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+      // loop to retry
+      continue;
+    }
+
+    const recordZcaps = {};
+    for(const zcapName of Object.keys(agentZcaps)) {
+      recordZcaps[zcapName] = newZcaps[zcapName];
+    }
+    return {zcaps: recordZcaps, replaced: [...replaced.values()]};
+  }
+}
+
+async function _revokeProfileAgentZcaps({profileAgentRecord}) {
+  const {profileAgent} = profileAgentRecord;
+  const {zcaps = {}} = profileAgent;
+
+  const rootAgentRecord = await _getRootAgentRecord({profileAgentRecord});
+  const profileSigner = await getProfileSigner(
+    {profileAgentRecord: rootAgentRecord});
+
+  // every zcap in the record was delegated by the profile
+  const capabilities = new Map(
+    Object.values(zcaps).map(zcap => [zcap.id, zcap]));
+
+  // the user EDV doc is read as the profile so that its zcaps can still be
+  // found should this process be retried after its `userDocument` zcap was
+  // revoked; only zcaps delegated by the profile are revoked
+  if(zcaps.userDocument) {
+    const {edvClient, docId} = await _getUserEdvClient(
+      {profileAgent, profileSigner});
+    const {content} = await edvClient.get({id: docId});
+    const {id: verificationMethod} = profileSigner;
+    for(const zcap of Object.values(content.zcaps ?? {})) {
+      if(_isProfileDelegated({verificationMethod, zcap})) {
+        capabilities.set(zcap.id, zcap);
+      }
+    }
+  }
+
+  // the root profile agent's profile capability invocation key zcap is
+  // needed to revoke the others, so it must be revoked last
+  const {
+    profileCapabilityInvocationKey: signerZcap
+  } = rootAgentRecord.profileAgent.zcaps;
+  const last = capabilities.get(signerZcap.id);
+  capabilities.delete(signerZcap.id);
+  await Promise.all([...capabilities.values()].map(
+    capability => _revokeCapability({capability, profileSigner})));
+  if(last) {
+    await _revokeCapability({capability: last, profileSigner});
+  }
+  return {revoked: capabilities.size + (last ? 1 : 0)};
+}
@@ -1,18 +1,28 @@
 /*!
  * Copyright (c) 2020-2023 Digital Bazaar, Inc. All rights reserved.
  */
+import * as audit from './audit.js';
 import * as bedrock from '@bedrock/core';
+import * as didMethods from './didMethods.js';
 import * as kms from './kms.js';
+import * as meterClient from './meterClient.js';
 import * as profileAgents from './profileAgents.js';
 import * as profileMeters from './profileMeters.js';
+import * as provisioning from './provisioning.js';
+import * as recovery from './recovery.js';
 import * as utils from './utils.js';
+import {
+  CapabilityAgent, KeyAgreementKey, KmsClient
+} from '@digitalbazaar/webkms-client';
+import {EdvClient, EdvDocument} from '@digitalbazaar/edv-client';
 import assert from 'assert-plus';
 import {delegate} from './zcaps.js';
-import {EdvClient} from '@digitalbazaar/edv-client';
 import {httpsAgent} from '@bedrock/https-agent';
 import {keyResolver} from './keyResolver.js';
+import {logger} from './logger.js';
+import {randomUUID} from 'node:crypto';
 
-const {config} = bedrock;
+const {config, util: {BedrockError}} = bedrock;
 
 let ZCAP_TTL_DEFAULT;
 let ZCAP_TTL_PROFILE_ZCAP_INVOCATION_KEY;
@@ -36,10 +46,47 @@ const ZCAP_REFERENCE_IDS = {
   userHmac: 'user-edv-hmac',
 };
 
+// key types that may be used for a profile's capability invocation key
+const PROFILE_KEY_TYPES = new Set([
+  'Ed25519VerificationKey2020', 'Ed25519', 'P-256', 'P-384'
+]);
+
+// user EDV document content fields that are set by this module and cannot be
+// given via `profileContent` / `profileAgentContent`
+const RESERVED_PROFILE_CONTENT_FIELDS = new Set([
+  'id', 'type', 'created', 'accessManagement', 'zcaps'
+]);
+const RESERVED_PROFILE_AGENT_CONTENT_FIELDS = new Set([
+  'id', 'type', 'created', 'zcaps'
+]);
+
 /**
  * @typedef Profile
  * Creates a Profile for a given account.
  *
+ * Applications can extend the provisioning process by listening for the
+ * following `bedrock.events`; each listener is awaited and any error it
+ * throws aborts the process:
+ *
+ * - `bedrock-profile.provisioning.keystoreCreated` with
+ *   `{accountId, profileId, keystore, key}` once the profile's keystore and
+ *   capability invocation key have been generated.
+ * - `bedrock-profile.provisioning.edvsCreated` with
+ *   `{accountId, profileId, edvs}` once the profile's EDVs have been created.
+ * - `bedrock-profile.provisioning.writingUserDocs` with
+ *   `{accountId, profileId, profileUserDoc, profileAgentUserDoc}` before
+ *   the profile and root profile agent user EDV documents are written;
+ *   listeners may modify the documents' `content`.
+ * - `bedrock-profile.provisioning.userDocsWritten` with
+ *   `{accountId, profileId, edvClient, profileUserDoc, profileAgentUserDoc}`
+ *   once the user EDV documents have been written; `edvClient` can be used to
+ *   write additional documents to the profile's user EDV.
+ * - `bedrock-profile.provisioning.recordInserted` with
+ *   `{accountId, profileId, profileAgentRecord}` once the root profile agent
+ *   record has been written; the process is continuable from this point.
+ * - `bedrock-profile.provisioning.complete` with
+ *   `{accountId, profileId, meters, edvs}` once the process is complete.
+ *
  * @typedef {object} ProfileKeystoreOptions
  * @property {KeystoreOptions} options.keystoreOptions.profileAgent - The
  *   root profile agent keystore options to use.
@@ -53,17 +100,42 @@ const ZCAP_REFERENCE_IDS = {
  * @param {object} options - The options to use.
  * @param {string} options.accountId - The id of the account to associate
  *   with the Profile.
- * @param {string} options.didMethod - Supported: 'key' and 'v1'.
+ * @param {string} options.didMethod - A registered DID method, e.g., 'key',
+ *   'v1', 'web', or 'jwk' (see `didMethods.register()`); 'jwk' requires a
+ *   `keyType` of 'Ed25519', 'P-256', or 'P-384'.
  * @param {ProfileKeystoreOptions} options.keystoreOptions - The keystore
  *   options to use.
  * @param {ProfileEdvOptions} options.edvOptions - The edv options to use.
  * @param {object} [options.didOptions] - Hashmap of optional DID
- *   method options.
+ *   method options, e.g., `{domain, path}` for 'web'.
+ * @param {string} [options.keyType='Ed25519VerificationKey2020'] - The type
+ *   of key to generate for the profile's capability invocation key:
+ *   'Ed25519VerificationKey2020', 'Ed25519' (an Ed25519 `Multikey`), 'P-256',
+ *   or 'P-384'.
+ * @param {object} [options.profileContent] - Additional content for the
+ *   profile's user EDV document, e.g., `{name, avatar}`; the `id`, `type`,
+ *   `created`, `accessManagement`, and `zcaps` fields are reserved.
+ * @param {object} [options.profileAgentContent] - Additional content for the
+ *   root profile agent's user EDV document; the `id`, `type`, `created`, and
+ *   `zcaps` fields are reserved and `name` defaults to `root`.
+ * @param {Array<object>} [options.indexes] - Additional `{attribute, unique}`
+ *   indexes for the documents in the profile's user EDV, e.g.,
+ *   `{attribute: 'content.avatar'}`; each `attribute` must start with
+ *   `content.` and must not be a core index attribute. These are stored in
+ *   the profile's user EDV document with the core indexes.
+ * @param {boolean} [options.enableRecovery=false] - `true` to enable
+ *   recovery of the profile via `recover()`; a zcap for the profile's
+ *   capability invocation key is delegated to the local application and
+ *   stored in a recovery record, separately from the profile agent records.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
  *
  * @returns {Promise<Profile>} Resolves to a profile's settings.
  */
 export async function create({
-  accountId, didMethod, keystoreOptions, edvOptions, didOptions
+  accountId, didMethod, keystoreOptions, edvOptions, didOptions,
+  keyType = 'Ed25519VerificationKey2020', profileContent = {},
+  profileAgentContent = {}, indexes = [], enableRecovery = false, actor
 } = {}) {
   assert.string(accountId, 'accountId');
   assert.string(didMethod, 'didMethod');
@@ -75,12 +147,26 @@ export async function create({
     keystoreOptions.profile, 'keystoreOptions.profile');
   utils.assertEdvOptions(edvOptions.profile, 'edvOptions.profile');
   assert.optionalObject(didOptions, 'didOptions');
-
-  // ensure DID method is supported
-  const SUPPORTED_DID_METHODS = ['key', 'v1'];
-  if(!SUPPORTED_DID_METHODS.includes(didMethod)) {
-    throw new Error(`Unsupported DID method "${didMethod}".`);
+  assert.string(keyType, 'keyType');
+  if(!PROFILE_KEY_TYPES.has(keyType)) {
+    throw new Error(`Unsupported profile key type "${keyType}".`);
   }
+  _assertUserDocContent({
+    content: profileContent, name: 'profileContent',
+    reserved: RESERVED_PROFILE_CONTENT_FIELDS
+  });
+  _assertUserDocContent({
+    content: profileAgentContent, name: 'profileAgentContent',
+    reserved: RESERVED_PROFILE_AGENT_CONTENT_FIELDS
+  });
+  _assertUserEdvIndexes({indexes});
+  assert.bool(enableRecovery, 'enableRecovery');
+
+  // ensure DID method is supported and DID options and key type are valid
+  // for it
+  const {getKeyId, postKeyGeneration} = didMethods.get({method: didMethod});
+  const publicAliasTemplate = utils.getPublicAliasTemplate(
+    {didMethod, didOptions, keyType});
 
   // ensure any additional EDV options are valid
   const {additionalEdvs = []} = edvOptions.profile;
@@ -97,23 +183,14 @@ export async function create({
 
   // require meter zcap invocation signer to match local application zcap
   // invocation signer
-  const appInvocationSignerId = utils.ZCAP_CLIENT.invocationSigner.id;
-  if(keystoreOptions.profile.meterCapabilityInvocationSigner.id !==
-    appInvocationSignerId) {
-    throw new Error(
-      'Profile keystore meter invocation signer ' +
-      `"${keystoreOptions.profile.meterCapabilityInvocationSigner.id}" ` +
-      'must match local application ' +
-      `zcap invocation signer "${appInvocationSignerId}".`);
-  }
-  if(edvOptions.profile.meterCapabilityInvocationSigner.id !==
-    appInvocationSignerId) {
-    throw new Error(
-      'Profile EDV meter invocation signer ' +
-      `"${edvOptions.profile.meterCapabilityInvocationSigner.id}" ` +
-      'must match local application ' +
-      `zcap invocation signer "${appInvocationSignerId}".`);
-  }
+  _assertAppMeterInvocationSigner({
+    signer: keystoreOptions.profile.meterCapabilityInvocationSigner,
+    name: 'Profile keystore'
+  });
+  _assertAppMeterInvocationSigner({
+    signer: edvOptions.profile.meterCapabilityInvocationSigner,
+    name: 'Profile EDV'
+  });
 
   /* The following is the profile provisioning process. It is safe for this
   process to fail at any step. If it fails before the profile agent record
@@ -121,6 +198,19 @@ export async function create({
   that can be garbage collected. If it fails thereafter, the process is
   recoverable / continuable. */
 
+  /* 0. Track the provisioning process so that, if it is abandoned before the
+  profile agent record is written, the resources it creates on external
+  systems can be found and garbage collected via `collectGarbage()`. */
+  const provisioningId = `urn:uuid:${randomUUID()}`;
+  await provisioning.add({
+    provisioning: {
+      id: provisioningId,
+      meters: [...new Set([
+        keystoreOptions.profile.meterId, edvOptions.profile.meterId
+      ])]
+    }
+  });
+
   /* 1. In parallel:
   1.1. Generate a new profile agent w/o storing it.
   1.2. Create a keystore and EDVs for the profile using a temporary capability
@@ -134,10 +224,17 @@ export async function create({
       store: false
     }),
     _createKeystoreAndEDVs({
-      didMethod, keystoreOptions, edvOptions, didOptions
+      accountId, publicAliasTemplate, getKeyId, postKeyGeneration,
+      keystoreOptions, edvOptions, didOptions, keyType
     })
   ]);
   const {profileAgent} = profileAgentRecord;
+  await provisioning.update({
+    id: provisioningId,
+    profile: profileId,
+    keystore: keystore.id,
+    edvs: Object.values(edvs).map(({id}) => id)
+  });
 
   /* 2. Prepare access management by generating User EDV document IDs and
   zcaps. */
@@ -150,11 +247,30 @@ export async function create({
     tmpCapabilityAgent, edvs, keystore, key, profileAgent
   });
 
+  /* 2.1. If recovery is enabled, delegate a zcap for the profile's ZCAP key to
+  the local application and store it with the IDs of the profile's user EDV
+  document and EDVs (see `recover()`). This must be done before the profile
+  keystore controller is updated as TMP is needed to delegate the zcap. */
+  if(enableRecovery) {
+    const capability = await _delegateProfileCapabilityInvocationKeyZcap(
+      {key, controller: utils.APP_ID, profileKeystoreId: keystore.id});
+    await recovery.add({
+      recovery: {
+        profile: profileId,
+        capability,
+        profileUserDocId,
+        edvs: Object.values(edvs).map(
+          ({referenceId, id}) => ({referenceId, id}))
+      }
+    });
+  }
+
   /* 3. Create profile and profile agent user docs. */
-  const profileUserDoc = _createProfileUserDoc(
-    {profileId, profileUserDocId, userEdv: edvs.user});
+  const profileUserDoc = _createProfileUserDoc({
+    profileId, profileUserDocId, userEdv: edvs.user, profileContent, indexes
+  });
   const profileAgentUserDoc = _createProfileAgentUserDoc({
-    profileAgent, profileAgentUserDocId,
+    profileAgent, profileAgentUserDocId, profileAgentContent,
     profileCapabilityInvocationKeyZcap, edvsZcaps,
     profileUserDocZcap, profileAgentUserDocZcap
   });
@@ -171,6 +287,9 @@ export async function create({
     hmac: edvs.user.hmac,
     httpsAgent
   });
+  await _emit('writingUserDocs', {
+    accountId, profileId, profileUserDoc, profileAgentUserDoc
+  });
   for(const index of profileUserDoc.content.accessManagement.indexes) {
     edvClient.ensureIndex(index);
   }
@@ -178,6 +297,9 @@ export async function create({
     edvClient.update({doc: profileUserDoc}),
     edvClient.update({doc: profileAgentUserDoc})
   ]);
+  await _emit('userDocsWritten', {
+    accountId, profileId, edvClient, profileUserDoc, profileAgentUserDoc
+  });
 
   /* 4. Update the profile keystore controller to be the profile. This
     step effectively invalidates TMP and must be done last right before
@@ -187,7 +309,7 @@ export async function create({
     it will be linked to the meter controller, which is the local application.
     Therefore, if necessary, this data can be periodically garbage collected by
     the local application or disassociated from the local application as it
-    has authority over it via this meter binding. */
+    has authority over it via this meter binding (see `collectGarbage()`). */
   keystore.controller = profileId;
   await kms.updateKeystoreConfig({keystoreAgent, keystoreConfig: keystore});
 
@@ -197,7 +319,20 @@ export async function create({
     step.** */
   const {kmsMeter, edvMeter} = await _insertProfileAgentRecord({
     profileAgentRecord, profileId, edvOptions, keystoreOptions,
-    profileCapabilityInvocationKeyZcap, profileAgentUserDocZcap, edvsZcaps
+    profileCapabilityInvocationKeyZcap, profileAgentUserDocZcap, edvsZcaps,
+    actor
+  });
+  await _emit('recordInserted', {accountId, profileId, profileAgentRecord});
+  try {
+    await provisioning.remove({id: provisioningId});
+  } catch(error) {
+    // not fatal; record will be removed during garbage collection
+    logger.error(
+      `Could not remove provisioning record "${provisioningId}".`, {error});
+  }
+  await audit.add({
+    type: 'profile.created', profileId, accountId, actor,
+    details: {didMethod, keyType, enableRecovery}
   });
 
   /* 6. Complete the profile provisioning process. This is implemented as a
@@ -220,9 +355,511 @@ export async function create({
   for(const {referenceId, config} of Object.values(edvs)) {
     edvConfigs[referenceId] = config;
   }
+  await _emit('complete', {accountId, profileId, meters, edvs: edvConfigs});
   return {id: profileId, meters, edvs: edvConfigs};
 }
 
+/**
+ * Garbage collects the resources created by abandoned profile provisioning
+ * processes. A provisioning process is considered abandoned if it started
+ * longer than `profile.provisioning.gracePeriod` ago and no profile agent
+ * record was ever written for its profile.
+ *
+ * The keystores and EDVs created by an abandoned process cannot be used by
+ * anyone as their controller's secret was never stored. However, they remain
+ * linked to the profile meters given to `create()`, which are controlled by
+ * the local application. These meters are deleted, detaching the resources
+ * from the local application, unless they are still in use: a meter that is
+ * used by another provisioning process, or by a profile whose provisioning
+ * has not yet completed, is kept. Meters used for profile agent keystores are
+ * not deleted as they may be shared with other profile agents. Applications
+ * that also use a profile meter for resources that are not managed by this
+ * module must not call this function. Note that the keystores and EDVs
+ * themselves are not deleted, only detached through their meters; the local
+ * application is not their controller and cannot delete them.
+ *
+ * Applications should call this function periodically, e.g., from a job
+ * scheduler.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.limit=100] - The maximum number of provisioning
+ *   processes to examine.
+ *
+ * @returns {Promise<object>} Resolves to `{collected, completed, failed}`
+ *   where `collected` is an array of `{profile, keystore, edvs, meters}` for
+ *   each abandoned process that was garbage collected, with the IDs of the
+ *   `meters` that were deleted (`profile`, `keystore`, and `edvs` may be
+ *   absent if the process was abandoned before they were created),
+ *   `completed` is the number of processes that were
+ *   found to have completed, and `failed` is an array of `{id, error}` for
+ *   processes that could not be garbage collected.
+ */
+export async function collectGarbage({limit = 100} = {}) {
+  if(!(Number.isInteger(limit) && limit > 0)) {
+    throw new TypeError('"limit" must be a positive integer.');
+  }
+
+  const {gracePeriod} = config.profile.provisioning;
+  const records = await provisioning.findCreatedBefore(
+    {before: Date.now() - gracePeriod, limit});
+
+  const result = {collected: [], completed: 0, failed: []};
+  for(const {provisioning: {id, profile, keystore, edvs, meters}} of records) {
+    try {
+      if(profile) {
+        // if any profile agent exists, provisioning completed or continuable
+        const {count} = await profileAgents.count({profileId: profile});
+        if(count > 0) {
+          await provisioning.remove({id});
+          result.completed++;
+          continue;
+        }
+      }
+      const detached = [];
+      await Promise.all(meters.map(async meterId => {
+        if(await _detachMeter({meterId, provisioningId: id})) {
+          detached.push(meterId);
+        }
+      }));
+      if(profile) {
+        await recovery.remove({profileId: profile});
+      }
+      await provisioning.remove({id});
+      result.collected.push({profile, keystore, edvs, meters: detached});
+    } catch(error) {
+      logger.error(
+        `Could not garbage collect provisioning process "${id}".`, {error});
+      result.failed.push({id, error});
+    }
+  }
+  return result;
+}
+
+/**
+ * Removes a Profile. All of the profile agent records and meter records
+ * associated with the profile are removed.
+ *
+ * If `disableServices` is `true`, the profile's keystore and EDVs are also
+ * disabled prior to removing any records. This is done by using a root
+ * profile agent to change the controller of each of them to an ephemeral
+ * controller whose secret is immediately discarded. Once complete, neither
+ * the profile's keys nor any of its EDV data can be used again (all EDV data
+ * becomes undecryptable). The keystore is disabled last as the profile's
+ * capability invocation key is needed to disable the EDVs. If the process
+ * fails, no records are removed.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileId - The ID of the profile to remove.
+ * @param {boolean} [options.disableServices=false] - `true` to disable the
+ *   profile's keystore and EDVs.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to `{profileAgents, meters}` with the
+ *   number of profile agent records and meter records that were removed.
+ */
+export async function remove({
+  profileId, disableServices = false, actor
+} = {}) {
+  assert.string(profileId, 'profileId');
+  assert.bool(disableServices, 'disableServices');
+
+  if(disableServices) {
+    const [profileAgentRecord] = await profileAgents.getRootAgents(
+      {profileId, includeSecrets: true});
+    if(!profileAgentRecord) {
+      throw new BedrockError(
+        'Profile services cannot be disabled; no root profile agent found.', {
+          name: 'NotFoundError',
+          details: {
+            profile: profileId,
+            httpStatusCode: 404,
+            public: true
+          }
+        });
+    }
+    await _disableProfileServices({profileAgentRecord});
+  }
+
+  // remove profile agents first to prevent any further use of the profile
+  const {count} = await profileAgents.removeByProfile({profileId, actor});
+  const {meters} = await profileMeters.findByProfile({profileId});
+  await Promise.all(meters.map(
+    ({meter}) => profileMeters.remove({id: meter.id})));
+  await recovery.remove({profileId});
+  const result = {profileAgents: count, meters: meters.length};
+  await audit.add({
+    type: 'profile.removed', profileId, actor,
+    details: {disableServices, ...result}
+  });
+  return result;
+}
+
+/**
+ * Recovers a Profile by provisioning a new root profile agent for it, e.g.,
+ * when its only root profile agent has been lost. The profile must have been
+ * created with `enableRecovery`. The local application uses its recovery zcap
+ * for the profile's capability invocation key to delegate zcaps for the key
+ * and for each of the profile's EDVs to the new root profile agent and to
+ * write the new root profile agent's user EDV document. Existing profile
+ * agents are not affected.
+ *
+ * If the process fails before the profile agent record is written, it may be
+ * run again; the user EDV document it may have written is not accessible to
+ * any profile agent.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileId - The ID of the profile.
+ * @param {string} options.accountId - The ID of the account to associate
+ *   with the new root profile agent.
+ * @param {KeystoreOptions} options.keystoreOptions - The keystore options to
+ *   use to create the new root profile agent's keystore.
+ * @param {object} [options.profileAgentContent] - Additional content for the
+ *   new root profile agent's user EDV document; the `id`, `type`, `created`,
+ *   and `zcaps` fields are reserved and `name` defaults to `root`.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to the new root profile agent record.
+ */
+export async function recover({
+  profileId, accountId, keystoreOptions, profileAgentContent = {}, actor
+} = {}) {
+  assert.string(profileId, 'profileId');
+  assert.string(accountId, 'accountId');
+  utils.assertKeystoreOptions(keystoreOptions, 'keystoreOptions');
+  _assertUserDocContent({
+    content: profileAgentContent, name: 'profileAgentContent',
+    reserved: RESERVED_PROFILE_AGENT_CONTENT_FIELDS
+  });
+
+  const {
+    recovery: {capability, profileUserDocId, edvs: edvIds}
+  } = await recovery.get({profileId});
+  const profileSigner = await utils.getProfileKey({
+    profileId, capability,
+    invocationSigner: utils.ZCAP_CLIENT.invocationSigner
+  });
+  const keystoreId = utils.parseKeystoreId(capability.invocationTarget);
+
+  /* 1. In parallel:
+  1.1. Generate a new profile agent w/o storing it.
+  1.2. Read the recipient keys of each profile EDV from its config.
+  1.3. Create a User EDV document ID for the profile agent. */
+  const [profileAgentRecord, edvs, profileAgentUserDocId] = await Promise.all([
+    profileAgents.create({keystoreOptions, accountId, profileId, store: false}),
+    Promise.all(edvIds.map(async ({referenceId, id}) => {
+      const {config} = await utils.getProfileEdvClient(
+        {edvId: id, profileSigner});
+      return {
+        referenceId, id,
+        hmac: {kmsId: config.hmac.id},
+        keyAgreementKey: {kmsId: config.keyAgreementKey.id}
+      };
+    })),
+    EdvClient.generateId()
+  ]);
+  const {profileAgent} = profileAgentRecord;
+  const userEdv = edvs.find(({referenceId}) => referenceId === 'user');
+
+  /* 2. Delegate zcaps for the profile's ZCAP key, every profile EDV, and the
+  two User EDV documents to the profile agent using the recovery zcap. */
+  const [
+    profileCapabilityInvocationKeyZcap, edvsZcaps,
+    profileUserDocZcap, profileAgentUserDocZcap
+  ] = await Promise.all([
+    _delegateProfileCapabilityInvocationKeyZcap({
+      key: profileSigner, controller: profileAgent.id,
+      profileKeystoreId: keystoreId
+    }),
+    _delegateEdvsZcaps({
+      key: profileSigner, keystore: {id: keystoreId}, edvs,
+      controller: profileAgent.id
+    }),
+    _delegateEdvDocumentZcap({
+      key: profileSigner, edvId: userEdv.id, docId: profileUserDocId,
+      controller: profileAgent.id
+    }),
+    _delegateEdvDocumentZcap({
+      key: profileSigner, edvId: userEdv.id, docId: profileAgentUserDocId,
+      controller: profileAgent.id
+    })
+  ]);
+
+  /* 3. Write the profile agent's User EDV doc as the profile, preserving any
+  additional user EDV indexes. */
+  const profileAgentUserDoc = _createProfileAgentUserDoc({
+    profileAgent, profileAgentUserDocId, profileAgentContent,
+    profileCapabilityInvocationKeyZcap, edvsZcaps,
+    profileUserDocZcap, profileAgentUserDocZcap
+  });
+  const {edvClient} = await utils.getProfileEdvClient({
+    edvId: userEdv.id, profileSigner, indexes: utils.USER_EDV_INDEXES
+  });
+  await utils.ensureProfileIndexes({
+    edvClient, zcaps: profileAgentUserDoc.content.zcaps
+  });
+  await edvClient.update({doc: profileAgentUserDoc});
+
+  /* 4. Write the profile agent record to the database. */
+  profileAgent.zcaps = {
+    profileCapabilityInvocationKey: profileCapabilityInvocationKeyZcap,
+    [ZCAP_REFERENCE_IDS.profileAgentUserDoc]: profileAgentUserDocZcap,
+    [ZCAP_REFERENCE_IDS.userKak]: edvsZcaps.user[ZCAP_REFERENCE_IDS.userKak]
+  };
+  const record = await profileAgents.insert(
+    {record: profileAgentRecord, actor});
+  await audit.add({
+    type: 'profile.recovered', profileId, accountId,
+    profileAgentId: profileAgent.id, actor
+  });
+  return record;
+}
+
+/**
+ * Adds an EDV to an existing Profile. A root profile agent is used to create
+ * the EDV, with new recipient keys in the profile's keystore, and to delegate
+ * zcaps for it to every root profile agent of the profile. These zcaps are
+ * added to each root profile agent's user EDV document, giving it full access
+ * to the new EDV. Finally, as is done for the meters given to `create()`, the
+ * EDV meter is recorded for the profile and its controller is changed from
+ * the local application to the profile.
+ *
+ * If the process fails before the user EDV documents are updated, the new
+ * EDV is unusable and remains linked to the given meter, which is still
+ * controlled by the local application.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileId - The ID of the profile.
+ * @param {string} options.referenceId - The reference ID for the new EDV,
+ *   e.g., `credentials`; it must not already be used by another profile EDV.
+ * @param {ProfileEdvOptions} options.edvOptions - The EDV options to use;
+ *   the meter must be controlled by the local application.
+ * @param {string} [options.actor] - The ID of the entity performing the
+ *   operation, recorded in the audit log.
+ *
+ * @returns {Promise<object>} Resolves to `{referenceId, id, config}` for the
+ *   new EDV.
+ */
+export async function addEdv({
+  profileId, referenceId, edvOptions, actor
+} = {}) {
+  assert.string(profileId, 'profileId');
+  assert.string(referenceId, 'referenceId');
+  assert.object(edvOptions, 'edvOptions');
+  utils.assertEdvOptions(edvOptions.profile, 'edvOptions.profile');
+  if(referenceId === 'user') {
+    throw new Error('"user" reference ID is reserved.');
+  }
+  _assertAppMeterInvocationSigner({
+    signer: edvOptions.profile.meterCapabilityInvocationSigner,
+    name: 'Profile EDV'
+  });
+
+  const rootAgentRecords = await profileAgents.getRootAgents(
+    {profileId, options: {}, includeSecrets: true});
+  if(rootAgentRecords.length === 0) {
+    throw new BedrockError(
+      'Profile EDV cannot be added; no root profile agent found.', {
+        name: 'NotFoundError',
+        details: {
+          profile: profileId,
+          httpStatusCode: 404,
+          public: true
+        }
+      });
+  }
+  const [rootAgentRecord] = rootAgentRecords;
+  const profileSigner = await profileAgents.getProfileSigner(
+    {profileAgentRecord: rootAgentRecord});
+  const {
+    userDocument: userDocumentZcap,
+    profileCapabilityInvocationKey: profileCapabilityInvocationKeyZcap
+  } = rootAgentRecord.profileAgent.zcaps;
+  const {edvClient} = await utils.getProfileEdvClient({
+    edvId: utils.parseEdvId(userDocumentZcap), profileSigner,
+    indexes: utils.USER_EDV_INDEXES
+  });
+
+  /* 1. Ensure the reference ID is not already in use and that any additional
+  user EDV indexes are preserved when updating user EDV documents. */
+  const {content: {zcaps: rootZcaps}} = await edvClient.get(
+    {id: utils.parseEdvDocumentId(userDocumentZcap)});
+  if(rootZcaps[`${referenceId}-edv-documents`]) {
+    throw new BedrockError(`Profile EDV "${referenceId}" already exists.`, {
+      name: 'DuplicateError',
+      details: {
+        profile: profileId,
+        referenceId,
+        httpStatusCode: 409,
+        public: true
+      }
+    });
+  }
+  await utils.ensureProfileIndexes({edvClient, zcaps: rootZcaps});
+
+  /* 2. Create the EDV, with new recipient keys in the profile's keystore. */
+  const keystoreId = utils.parseKeystoreId(
+    profileCapabilityInvocationKeyZcap.invocationTarget);
+  const keystoreAgent = kms.getKeystoreAgent({
+    capabilityAgent: new CapabilityAgent(
+      {handle: 'primary', signer: profileSigner}),
+    keystoreId
+  });
+  const edv = await _createEdv(
+    {referenceId, keystoreAgent, edvOptions, profileId});
+
+  /* 3. Delegate zcaps for the EDV to each root profile agent and add them to
+  its user EDV document. */
+  await Promise.all(rootAgentRecords.map(async ({profileAgent}) => {
+    const {zcaps} = await _delegateEdvZcaps({
+      key: profileSigner, keystore: {id: keystoreId}, edv,
+      controller: utils.getProfileAgentController({profileAgent})
+    });
+    await _addUserDocZcaps({
+      edvClient,
+      docId: utils.parseEdvDocumentId(profileAgent.zcaps.userDocument),
+      zcaps
+    });
+  }));
+
+  /* 4. Record the EDV meter and change its controller to the profile. Also
+  record the EDV for recovery if recovery is enabled for the profile. */
+  const meter = {
+    id: edvOptions.profile.meterId,
+    profile: profileId,
+    serviceType: 'edv',
+    referenceId: `profile:${referenceId}:edv`
+  };
+  await Promise.all([
+    meterClient.updateController({
+      url: meter.id, controller: profileId,
+      invocationSigner: utils.ZCAP_CLIENT.invocationSigner
+    }),
+    _addMeter({meter}),
+    recovery.addEdv({profileId, edv: {referenceId, id: edv.id}})
+  ]);
+
+  await audit.add({
+    type: 'profile.edvAdded', profileId, actor,
+    details: {referenceId, edv: edv.id}
+  });
+  return {referenceId, id: edv.id, config: edv.config};
+}
+
+/**
+ * Gets the EDVs of a Profile that the given Profile Agent has zcaps for. The
+ * zcaps are read from the profile agent's user EDV document using the profile
+ * agent's own zcaps. Each EDV's config is read using a root profile agent of
+ * the profile (the given profile agent, if it is a root profile agent).
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileId - The ID of the profile.
+ * @param {object} options.profileAgentRecord - A profile agent record for the
+ *   profile, including its secrets.
+ *
+ * @returns {Promise<object>} Resolves to `{edvs}` where `edvs` is an array
+ *   of `{referenceId, id, config, zcaps}`, ordered by `referenceId`; `zcaps`
+ *   maps zcap reference IDs, e.g., `user-edv-kak`, to the zcaps the profile
+ *   agent holds for the EDV and `config` is `null` if the profile has no
+ *   root profile agent.
+ */
+export async function getEdvs({profileId, profileAgentRecord} = {}) {
+  assert.string(profileId, 'profileId');
+  assert.object(profileAgentRecord, 'profileAgentRecord');
+  if(profileAgentRecord.profileAgent.profile !== profileId) {
+    throw new TypeError(
+      '"profileAgentRecord" must be a profile agent for profile ' +
+      `"${profileId}".`);
+  }
+
+  /* 1. Read the profile agent's user EDV doc and group the zcaps in it by
+  EDV reference ID. */
+  const {zcaps: agentZcaps} = profileAgentRecord.profileAgent;
+  const {content: {zcaps}} = await _readProfileAgentUserDoc(
+    {profileAgentRecord});
+  const edvs = new Map();
+  for(const [zcapName, zcap] of Object.entries(zcaps)) {
+    const match = zcapName.match(/^(.+)-edv-(documents|hmac|kak)$/);
+    if(!match) {
+      continue;
+    }
+    const [, referenceId, suffix] = match;
+    let edv = edvs.get(referenceId);
+    if(!edv) {
+      edv = {referenceId, id: null, config: null, zcaps: {}};
+      edvs.set(referenceId, edv);
+    }
+    edv.zcaps[zcapName] = zcap;
+    if(suffix === 'documents') {
+      edv.id = utils.parseEdvId(zcap);
+    }
+  }
+  // profile agents without access to all user EDV documents can still
+  // access their own
+  const userEdv = edvs.get('user');
+  if(userEdv && !userEdv.id) {
+    userEdv.id = utils.parseEdvId(agentZcaps.userDocument);
+  }
+
+  /* 2. Read each EDV's config using a root profile agent. */
+  let rootAgentRecord = profileAgentRecord;
+  if(!agentZcaps.profileCapabilityInvocationKey) {
+    [rootAgentRecord] = await profileAgents.getRootAgents(
+      {profileId, includeSecrets: true});
+  }
+  if(rootAgentRecord) {
+    const profileSigner = await profileAgents.getProfileSigner(
+      {profileAgentRecord: rootAgentRecord});
+    await Promise.all([...edvs.values()].map(async edv => {
+      if(edv.id) {
+        ({config: edv.config} = await utils.getProfileEdvClient(
+          {edvId: edv.id, profileSigner}));
+      }
+    }));
+  }
+
+  const result = [...edvs.values()].sort(
+    (a, b) => a.referenceId.localeCompare(b.referenceId));
+  return {edvs: result};
+}
+
+async function _addMeter({meter}) {
+  try {
+    await profileMeters.add({meter});
+  } catch(e) {
+    // meter may be shared with other profile EDVs
+    if(e.name !== 'DuplicateError') {
+      throw e;
+    }
+  }
+}
+
+async function _addUserDocZcaps({edvClient, docId, zcaps}) {
+  while(true) {
+    const doc = await edvClient.get({id: docId});
+    doc.content.zcaps = {...doc.content.zcaps, ...zcaps};
+    try {
+      await edvClient.update({doc});
+      return;
+    } catch(e) {
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+      // loop to retry
+    }
+  }
+}
+
+function _assertAppMeterInvocationSigner({signer, name}) {
+  const appInvocationSignerId = utils.ZCAP_CLIENT.invocationSigner.id;
+  if(signer.id !== appInvocationSignerId) {
+    throw new Error(
+      `${name} meter invocation signer "${signer.id}" must match local ` +
+      `application zcap invocation signer "${appInvocationSignerId}".`);
+  }
+}
+
 async function _createEdv({referenceId, keystoreAgent, edvOptions, profileId}) {
   const edv = {referenceId};
   const {
@@ -263,23 +900,52 @@ async function _createEdvRecipientKeys({keystoreAgent} = {}) {
   return {hmac, keyAgreementKey};
 }
 
-function _createProfileUserDoc({profileId, profileUserDocId, userEdv}) {
+function _assertUserDocContent({content, name, reserved}) {
+  assert.object(content, name);
+  for(const field of Object.keys(content)) {
+    if(reserved.has(field)) {
+      throw new Error(`"${name}.${field}" is reserved.`);
+    }
+  }
+}
+
+function _assertUserEdvIndexes({indexes}) {
+  assert.arrayOfObject(indexes, 'indexes');
+  const coreAttributes = new Set(
+    utils.USER_EDV_INDEXES.map(({attribute}) => attribute));
+  const attributes = new Set();
+  for(const [i, {attribute, unique}] of indexes.entries()) {
+    assert.string(attribute, `indexes[${i}].attribute`);
+    assert.optionalBool(unique, `indexes[${i}].unique`);
+    if(!(attribute.startsWith('content.') && attribute.length > 8)) {
+      throw new Error(
+        `"indexes[${i}].attribute" must start with "content.".`);
+    }
+    if(coreAttributes.has(attribute)) {
+      throw new Error(`Index attribute "${attribute}" is reserved.`);
+    }
+    if(attributes.has(attribute)) {
+      throw new Error(`Index attribute "${attribute}" is duplicated.`);
+    }
+    attributes.add(attribute);
+  }
+}
+
+function _createProfileUserDoc({
+  profileId, profileUserDocId, userEdv, profileContent = {}, indexes = []
+}) {
   const {hmac, keyAgreementKey} = userEdv;
   const profileUserDoc = {
     id: profileUserDocId,
     content: {
+      ...structuredClone(profileContent),
       id: profileId,
       type: ['User', 'Profile'],
       accessManagement: {
         edvId: userEdv.id,
         hmac: {id: hmac.id, type: hmac.type},
         keyAgreementKey: {id: keyAgreementKey.id, type: keyAgreementKey.type},
-        indexes: [
-          {attribute: 'content.id', unique: true},
-          {attribute: 'content.type'},
-          {attribute: 'content.name'},
-          {attribute: 'content.email'}
-        ]
+        indexes: structuredClone([...utils.USER_EDV_INDEXES, ...indexes])
       },
       created: (new Date()).toISOString(),
       zcaps: {}
@@ -289,15 +955,16 @@ function _createProfileUserDoc({profileId, profileUserDocId, userEdv}) {
 }
 
 function _createProfileAgentUserDoc({
-  profileAgent, profileAgentUserDocId,
+  profileAgent, profileAgentUserDocId, profileAgentContent = {},
   profileCapabilityInvocationKeyZcap, edvsZcaps,
   profileUserDocZcap, profileAgentUserDocZcap
 }) {
   const profileAgentUserDoc = {
     id: profileAgentUserDocId,
     content: {
-      id: profileAgent.id,
       name: 'root',
+      ...structuredClone(profileAgentContent),
+      id: profileAgent.id,
       type: ['User', 'Agent'],
       created: (new Date()).toISOString(),
       zcaps: {
@@ -316,7 +983,8 @@ function _createProfileAgentUserDoc({
 }
 
 async function _createKeystoreAndEDVs({
-  didMethod, keystoreOptions, edvOptions, didOptions
+  accountId, publicAliasTemplate, getKeyId, postKeyGeneration,
+  keystoreOptions, edvOptions, didOptions, keyType
 }) {
   /* 1. Generate a TMP capability agent. Do not use the zcap client for the
     application so that we can distinguish keystores created for the
@@ -346,13 +1014,23 @@ async function _createKeystoreAndEDVs({
 
   /* 3. Generate the ZCAP key for the profile and assign the profile ID based
     on the DID in its generated key ID. */
-  const key = await keystoreAgent.generateKey({
-    type: 'asymmetric',
-    publicAliasTemplate: utils.getPublicAliasTemplate({didMethod, didOptions})
+  const key = await kms.generateKey({
+    type: keyType,
+    invocationSigner: capabilityAgent.getSigner(),
+    kmsClient: keystoreAgent.kmsClient,
+    publicAliasTemplate
   });
-  // the above `publicAliasTemplate` ensures that the DID key identifier will
-  // be: <did>#<key identifier fragment>
+  // the above `publicAliasTemplate`, or the DID method's `getKeyId()` if it
+  // derives key identifiers from key descriptions instead, ensures that the
+  // DID key identifier will be: <did>#<key identifier fragment>
+  if(getKeyId) {
+    key.id = await getKeyId({keyDescription: await key.getKeyDescription()});
+  }
   const profileId = key.id.split('#')[0];
+  if(postKeyGeneration) {
+    await postKeyGeneration({id: profileId, key, didOptions});
+  }
+  await _emit('keystoreCreated', {accountId, profileId, keystore, key});
 
   /* 4. Create N EDVs for the profile. The User EDV will be created
     automatically for access management purposes, but additional EDVs may be
@@ -365,6 +1043,7 @@ async function _createKeystoreAndEDVs({
     edvs[referenceId] = await _createEdv(
       {referenceId, keystoreAgent, edvOptions, profileId});
   }));
+  await _emit('edvsCreated', {accountId, profileId, edvs});
 
   return {
     tmpCapabilityAgent: capabilityAgent,
@@ -463,9 +1142,89 @@ async function _delegateProfileCapabilityInvocationKeyZcap({
   });
 }
 
+// deletes a meter used by an abandoned provisioning process unless it is
+// still in use; returns `true` if the meter was deleted
+async function _detachMeter({meterId, provisioningId}) {
+  const [usedByOthers, pendingTransfer] = await Promise.all([
+    provisioning.isMeterUsedByOthers({meterId, excludeId: provisioningId}),
+    profileAgents.isMeterPendingTransfer({meterId})
+  ]);
+  if(usedByOthers || pendingTransfer) {
+    return false;
+  }
+  const {ZCAP_CLIENT: {invocationSigner}} = utils;
+  try {
+    await meterClient.remove({url: meterId, invocationSigner});
+  } catch(e) {
+    // meter already removed or no longer controlled by local application
+    const type = e.data?.type;
+    if(!(type === 'NotFoundError' || type === 'NotAllowedError')) {
+      throw e;
+    }
+    return false;
+  }
+  return true;
+}
+
+async function _disableProfileServices({profileAgentRecord}) {
+  const profileSigner = await profileAgents.getProfileSigner(
+    {profileAgentRecord});
+
+  // generate ephemeral controller; its secret is never stored
+  const {capabilityAgent: {id: controller}} =
+    await utils.createCapabilityAgent();
+
+  // find all profile EDVs via the zcaps in the root profile agent's user doc
+  const {
+    userDocument: userDocumentZcap
+  } = profileAgentRecord.profileAgent.zcaps;
+  const userEdvId = utils.parseEdvId(userDocumentZcap);
+  const {edvClient} = await utils.getProfileEdvClient(
+    {edvId: userEdvId, profileSigner});
+  const doc = await edvClient.get(
+    {id: utils.parseEdvDocumentId(userDocumentZcap)});
+  const edvIds = new Set();
+  for(const [referenceId, zcap] of Object.entries(doc.content.zcaps)) {
+    if(referenceId.endsWith('-edv-documents')) {
+      edvIds.add(utils.parseEdvId(zcap));
+    }
+  }
+  // user EDV must be disabled last among EDVs; it lists the others
+  edvIds.delete(userEdvId);
+  await Promise.all([...edvIds].map(
+    edvId => _disableEdv({edvId, controller, profileSigner})));
+  await _disableEdv({edvId: userEdvId, controller, profileSigner});
+
+  // disable keystore
+  const {
+    profileCapabilityInvocationKey: profileCapabilityInvocationKeyZcap
+  } = profileAgentRecord.profileAgent.zcaps;
+  const keystoreId = utils.parseKeystoreId(
+    profileCapabilityInvocationKeyZcap.invocationTarget);
+  const keystoreAgent = kms.getKeystoreAgent({
+    capabilityAgent: new CapabilityAgent(
+      {handle: 'primary', signer: profileSigner}),
+    keystoreId
+  });
+  const keystore = await keystoreAgent.kmsClient.getKeystore(
+    {invocationSigner: profileSigner});
+  keystore.controller = controller;
+  await kms.updateKeystoreConfig({keystoreAgent, keystoreConfig: keystore});
+}
+
+async function _disableEdv({edvId, controller, profileSigner}) {
+  const edvClient = new EdvClient(
+    {id: edvId, invocationSigner: profileSigner, httpsAgent});
+  const config = await edvClient.getConfig();
+  await edvClient.updateConfig({
+    config: {...config, sequence: config.sequence + 1, controller}
+  });
+}
+
 async function _insertProfileAgentRecord({
   profileAgentRecord, profileId, edvOptions, keystoreOptions,
-  profileCapabilityInvocationKeyZcap, profileAgentUserDocZcap, edvsZcaps
+  profileCapabilityInvocationKeyZcap, profileAgentUserDocZcap, edvsZcaps,
+  actor
 }) {
   const edvMeter = {
     id: edvOptions.profile.meterId,
@@ -486,7 +1245,8 @@ async function _insertProfileAgentRecord({
     [ZCAP_REFERENCE_IDS.userKak]: edvsZcaps.user[ZCAP_REFERENCE_IDS.userKak]
   };
   profileAgentRecord.profileAgent._meters = {edvMeter, kmsMeter};
-  const record = await profileAgents.insert({record: profileAgentRecord});
+  const record = await profileAgents.insert(
+    {record: profileAgentRecord, actor});
   return {record, edvMeter, kmsMeter};
 }
 
@@ -548,6 +1308,30 @@ async function _prepareAccessManagement({
   };
 }
 
+async function _readProfileAgentUserDoc({profileAgentRecord}) {
+  const invocationSigner = await profileAgents.getSigner({profileAgentRecord});
+  const {
+    userDocument: capability, 'user-edv-kak': kakZcap
+  } = profileAgentRecord.profileAgent.zcaps;
+  const keyAgreementKey = await KeyAgreementKey.fromCapability({
+    capability: kakZcap,
+    invocationSigner,
+    kmsClient: new KmsClient({httpsAgent})
+  });
+  const doc = new EdvDocument({
+    capability,
+    invocationSigner,
+    keyAgreementKey,
+    client: new EdvClient({capability, httpsAgent, keyResolver})
+  });
+  return doc.read();
+}
+
+// emits a profile provisioning extension hook event
+async function _emit(name, data) {
+  return bedrock.events.emit(`bedrock-profile.provisioning.${name}`, data);
+}
+
 /**
  * @typedef {object} KeystoreOptions
  * @property {object} meterId - The full URL ID of the meter; to be given to
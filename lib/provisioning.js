@@ -0,0 +1,155 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {getCollection} from './utils.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'profile-provisioning';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'provisioning.id': 1},
+    options: {unique: true}
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {'meta.created': 1},
+    options: {unique: false}
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {'provisioning.meters': 1},
+    options: {unique: false}
+  }]);
+});
+
+/**
+ * Adds a record that tracks an in-progress profile provisioning process. The
+ * record is used to find the external resources created by the process if
+ * it is abandoned before the root profile agent record is written.
+ *
+ * @param {object} options - The options for the function.
+ * @param {object} options.provisioning - The provisioning information,
+ *   including the `id` of the process and the IDs of the `meters`, controlled
+ *   by the local application, that the process is using.
+ *
+ * @returns {Promise<object>} Returns the provisioning record.
+ */
+export async function add({provisioning} = {}) {
+  assert.object(provisioning, 'provisioning');
+  assert.string(provisioning.id, 'provisioning.id');
+  assert.arrayOfString(provisioning.meters, 'provisioning.meters');
+
+  const now = Date.now();
+  const meta = {created: now, updated: now};
+  const record = {meta, provisioning};
+  const collection = getCollection(COLLECTION_NAME);
+  await collection.insertOne(record);
+  return record;
+}
+
+/**
+ * Records the external resources that were created by a profile provisioning
+ * process.
+ *
+ * @param {object} options - The options for the function.
+ * @param {string} options.id - The ID of the process.
+ * @param {string} options.profile - The ID of the profile.
+ * @param {string} options.keystore - The ID of the profile's keystore.
+ * @param {Array<string>} options.edvs - The IDs of the profile's EDVs.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function update({id, profile, keystore, edvs} = {}) {
+  assert.string(id, 'id');
+  assert.string(profile, 'profile');
+  assert.string(keystore, 'keystore');
+  assert.arrayOfString(edvs, 'edvs');
+
+  const query = {'provisioning.id': id};
+  const $set = {
+    'meta.updated': Date.now(),
+    'provisioning.profile': profile,
+    'provisioning.keystore': keystore,
+    'provisioning.edvs': edvs
+  };
+  const collection = getCollection(COLLECTION_NAME);
+  const result = await collection.updateOne(query, {$set});
+  if(result.matchedCount === 0) {
+    throw new BedrockError(
+      'Provisioning record not found.',
+      'NotFoundError', {
+        public: true,
+        httpStatusCode: 404
+      });
+  }
+}
+
+/**
+ * Removes a provisioning record by its ID.
+ *
+ * @param {object} options - The options for the function.
+ * @param {string} options.id - The ID of the process.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function remove({id} = {}) {
+  assert.string(id, 'id');
+
+  const query = {'provisioning.id': id};
+  const collection = getCollection(COLLECTION_NAME);
+  await collection.deleteOne(query);
+}
+
+/**
+ * Determines whether a meter is used by any provisioning process other than
+ * the given one.
+ *
+ * @param {object} options - The options for the function.
+ * @param {string} options.meterId - The ID of the meter.
+ * @param {string} options.excludeId - The ID of the process to exclude.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if another process uses the
+ *   meter, `false` if not.
+ */
+export async function isMeterUsedByOthers({meterId, excludeId} = {}) {
+  assert.string(meterId, 'meterId');
+  assert.string(excludeId, 'excludeId');
+
+  const query = {
+    'provisioning.meters': meterId,
+    'provisioning.id': {$ne: excludeId}
+  };
+  const projection = {_id: 1};
+  const collection = getCollection(COLLECTION_NAME);
+  const record = await collection.findOne(query, {projection});
+  return !!record;
+}
+
+/**
+ * Gets provisioning records that were created before the given time.
+ *
+ * @param {object} options - The options for the function.
+ * @param {number} options.before - The time, in milliseconds since the epoch,
+ *   before which matching records must have been created.
+ * @param {number} options.limit - The maximum number of records to return.
+ *
+ * @returns {Promise<object[]>} Resolves to a list of provisioning records.
+ */
+export async function findCreatedBefore({before, limit} = {}) {
+  assert.number(before, 'before');
+  assert.number(limit, 'limit');
+
+  const query = {'meta.created': {$lt: before}};
+  const projection = {_id: 0};
+  const collection = getCollection(COLLECTION_NAME);
+  return collection.find(query, {projection})
+    .sort({'meta.created': 1})
+    .limit(limit)
+    .toArray();
+}
@@ -0,0 +1,155 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as cborg from 'cborg';
+import assert from 'assert-plus';
+import {
+  Ed25519VerificationKey2020
+} from '@digitalbazaar/ed25519-verification-key-2020';
+import {getAppIdentity} from '@bedrock/app-identity';
+import {RecordCipher} from '@bedrock/record-cipher';
+
+const {config, util: {BedrockError}} = bedrock;
+
+const BUNDLE_TYPE = 'ProfileAgentRecordBundle';
+
+// cipher used to wrap bundle content, `null` if no export KEK is configured
+let BUNDLE_CIPHER = null;
+bedrock.events.on('bedrock.init', async () => {
+  await _loadKek();
+});
+
+// exported for testing purposes only
+export async function _loadKek() {
+  const {kek} = config.profile.profileAgent.recordExport;
+  if(kek === null) {
+    BUNDLE_CIPHER = null;
+    return;
+  }
+  BUNDLE_CIPHER = await RecordCipher.create({
+    currentKekId: kek.id,
+    keks: [kek],
+    encoding: 'cbor'
+  });
+}
+
+/**
+ * Creates a record bundle: the given content is encrypted using the
+ * configured export KEK and the result is signed using the local
+ * application's capability invocation key.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.content - The content to bundle.
+ *
+ * @returns {Promise<object>} Resolves to the bundle.
+ */
+export async function create({content} = {}) {
+  assert.object(content, 'content');
+
+  const cipher = _getCipher();
+  const {
+    encryptedSecrets: encryptedContent
+  } = await cipher.encryptRecordSecrets({record: {secrets: content}});
+
+  const {id: exporter, keys: {capabilityInvocationKey}} = getAppIdentity();
+  const bundle = {
+    type: BUNDLE_TYPE,
+    exporter,
+    created: new Date().toISOString(),
+    encryptedContent
+  };
+  const signer = capabilityInvocationKey.signer();
+  const signature = await signer.sign({data: cborg.encode(bundle)});
+  bundle.proof = {
+    verificationMethod: signer.id,
+    signatureValue: Buffer.from(signature).toString('base64url')
+  };
+  return bundle;
+}
+
+/**
+ * Opens a record bundle: its signature is verified, its exporter must be
+ * listed in `profile.profileAgent.recordExport.trustedExporters`, and its
+ * content is decrypted using the configured export KEK.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.bundle - The bundle to open.
+ *
+ * @returns {Promise<object>} Resolves to `{content, exporter, created}`.
+ */
+export async function open({bundle} = {}) {
+  assert.object(bundle, 'bundle');
+  const {proof, ...unsigned} = bundle;
+  const {type, exporter, created, encryptedContent} = unsigned;
+  if(!(type === BUNDLE_TYPE && typeof exporter === 'string' &&
+    typeof created === 'string' && encryptedContent &&
+    typeof encryptedContent === 'object' &&
+    typeof proof?.verificationMethod === 'string' &&
+    typeof proof?.signatureValue === 'string')) {
+    throw _createDataError('Invalid profile agent record bundle.');
+  }
+
+  const {trustedExporters} = config.profile.profileAgent.recordExport;
+  if(!trustedExporters.includes(exporter)) {
+    throw new BedrockError(
+      `Profile agent record bundle exporter "${exporter}" is not trusted.`, {
+        name: 'NotAllowedError',
+        details: {exporter, httpStatusCode: 403, public: true}
+      });
+  }
+
+  // exporters are application identities, which are `did:key` DIDs
+  const fingerprint = exporter.slice('did:key:'.length);
+  if(!(exporter.startsWith('did:key:') &&
+    proof.verificationMethod === `${exporter}#${fingerprint}`)) {
+    throw _createDataError(
+      'Profile agent record bundle verification method ' +
+      `"${proof.verificationMethod}" does not match its exporter.`);
+  }
+  let verified = false;
+  try {
+    const key = Ed25519VerificationKey2020.fromFingerprint({fingerprint});
+    verified = await key.verifier().verify({
+      data: cborg.encode(unsigned),
+      signature: Buffer.from(proof.signatureValue, 'base64url')
+    });
+  } catch(cause) {
+    throw _createDataError(
+      'Profile agent record bundle signature could not be verified.', cause);
+  }
+  if(!verified) {
+    throw _createDataError('Invalid profile agent record bundle signature.');
+  }
+
+  const cipher = _getCipher();
+  let content;
+  try {
+    ({secrets: content} = await cipher.decryptRecordSecrets(
+      {record: {encryptedSecrets: encryptedContent}}));
+  } catch(cause) {
+    throw _createDataError(
+      'Profile agent record bundle could not be decrypted.', cause);
+  }
+  return {content, exporter, created};
+}
+
+function _createDataError(message, cause) {
+  return new BedrockError(message, {
+    name: 'DataError',
+    cause,
+    details: {httpStatusCode: 400, public: true}
+  });
+}
+
+function _getCipher() {
+  if(!BUNDLE_CIPHER) {
+    throw new BedrockError(
+      'Profile agent record export is not configured; set ' +
+      '"profile.profileAgent.recordExport.kek".', {
+        name: 'NotSupportedError',
+        details: {httpStatusCode: 500, public: true}
+      });
+  }
+  return BUNDLE_CIPHER;
+}
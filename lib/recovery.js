@@ -0,0 +1,135 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {getCollection} from './utils.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'profile-recovery';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'recovery.profile': 1},
+    options: {unique: true}
+  }]);
+});
+
+/**
+ * Adds a recovery record for a Profile. The record holds a zcap for the
+ * profile's capability invocation key that is controlled by the local
+ * application, along with the information needed to give a new root profile
+ * agent access to the profile's user EDV document and EDVs.
+ *
+ * @param {object} options - The options for the function.
+ * @param {object} options.recovery - The recovery information, including the
+ *   ID of the `profile`, the `capability` for its capability invocation key,
+ *   the `profileUserDocId` of its user EDV document, and its `edvs` as an
+ *   array of `{referenceId, id}`.
+ *
+ * @returns {Promise<object>} Returns the recovery record.
+ */
+export async function add({recovery} = {}) {
+  assert.object(recovery, 'recovery');
+  assert.string(recovery.profile, 'recovery.profile');
+  assert.object(recovery.capability, 'recovery.capability');
+  assert.string(recovery.profileUserDocId, 'recovery.profileUserDocId');
+  assert.arrayOfObject(recovery.edvs, 'recovery.edvs');
+
+  const now = Date.now();
+  const meta = {created: now, updated: now};
+  const record = {meta, recovery};
+  try {
+    const collection = getCollection(COLLECTION_NAME);
+    await collection.insertOne(record);
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw new BedrockError(
+      'Duplicate recovery record.',
+      'DuplicateError', {
+        public: true,
+        httpStatusCode: 409
+      }, e);
+  }
+  return record;
+}
+
+/**
+ * Records an EDV that was added to a Profile in its recovery record, if the
+ * profile has one.
+ *
+ * @param {object} options - The options for the function.
+ * @param {string} options.profileId - The ID of the profile.
+ * @param {object} options.edv - The `{referenceId, id}` of the EDV.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the profile has a
+ *   recovery record and `false` if not.
+ */
+export async function addEdv({profileId, edv} = {}) {
+  assert.string(profileId, 'profileId');
+  assert.object(edv, 'edv');
+  assert.string(edv.referenceId, 'edv.referenceId');
+  assert.string(edv.id, 'edv.id');
+
+  const query = {'recovery.profile': profileId};
+  const update = {
+    $set: {'meta.updated': Date.now()},
+    $addToSet: {
+      'recovery.edvs': {referenceId: edv.referenceId, id: edv.id}
+    }
+  };
+  const collection = getCollection(COLLECTION_NAME);
+  const result = await collection.updateOne(query, update);
+  return result.matchedCount !== 0;
+}
+
+/**
+ * Gets the recovery record for a Profile.
+ *
+ * @param {object} options - The options for the function.
+ * @param {string} options.profileId - The ID of the profile.
+ *
+ * @returns {Promise<object>} Returns the recovery record.
+ */
+export async function get({profileId} = {}) {
+  assert.string(profileId, 'profileId');
+
+  const query = {'recovery.profile': profileId};
+  const projection = {_id: 0};
+  const collection = getCollection(COLLECTION_NAME);
+
+  const record = await collection.findOne(query, {projection});
+  if(!record) {
+    throw new BedrockError(
+      'Recovery record not found.',
+      'NotFoundError', {
+        profile: profileId,
+        public: true,
+        httpStatusCode: 404
+      });
+  }
+  return record;
+}
+
+/**
+ * Removes the recovery record for a Profile, if it has one.
+ *
+ * @param {object} options - The options for the function.
+ * @param {string} options.profileId - The ID of the profile.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function remove({profileId} = {}) {
+  assert.string(profileId, 'profileId');
+
+  const query = {'recovery.profile': profileId};
+  const collection = getCollection(COLLECTION_NAME);
+  await collection.deleteOne(query);
+}
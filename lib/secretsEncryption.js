@@ -7,13 +7,17 @@ import {RecordCipher} from '@bedrock/record-cipher';
 
 // load all key encryption keys (KEKs) from config
 export let RECORD_CIPHER;
+// ID of the KEK used to encrypt new secrets, `null` if encryption is disabled
+export let CURRENT_KEK_ID = null;
 bedrock.events.on('bedrock.init', async () => {
   await _loadKeks();
 });
 
 // exported for testing purposes only
 export async function _loadKeks() {
-  const {kek} = bedrock.config.profile.profileAgent.secretsEncryption;
+  const {
+    kek, previousKeks = []
+  } = bedrock.config.profile.profileAgent.secretsEncryption;
   const options = {
     currentKekId: null,
     keks: [],
@@ -23,7 +27,17 @@ export async function _loadKeks() {
     options.currentKekId = kek.id;
     options.keks.push(kek);
   }
+  // previous KEKs are only used to decrypt existing records
+  for(const previousKek of previousKeks) {
+    if(options.keks.some(({id}) => id === previousKek.id)) {
+      throw new Error(
+        `Duplicate key encryption key ID "${previousKek.id}" found in ` +
+        '"profile.profileAgent.secretsEncryption" configuration.');
+    }
+    options.keks.push(previousKek);
+  }
   RECORD_CIPHER = await RecordCipher.create(options);
+  CURRENT_KEK_ID = options.currentKekId;
   const status = RECORD_CIPHER.isSecretsEncryptionEnabled() ?
     'enabled' : 'disabled';
   logger.info(`Profile agent record secrets encryption is ${status}.`);
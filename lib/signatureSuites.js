@@ -0,0 +1,64 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import dataIntegrityContext from '@digitalbazaar/data-integrity-context';
+import {DataIntegrityProof} from '@digitalbazaar/data-integrity';
+import {
+  cryptosuite as ecdsaRdfc2019CryptoSuite
+} from '@digitalbazaar/ecdsa-rdfc-2019-cryptosuite';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {
+  cryptosuite as eddsaRdfc2022CryptoSuite
+} from '@digitalbazaar/eddsa-rdfc-2022-cryptosuite';
+
+export const EcdsaRdfc2019 = _createDataIntegritySuiteClass(
+  {cryptosuite: ecdsaRdfc2019CryptoSuite});
+export const EddsaRdfc2022 = _createDataIntegritySuiteClass(
+  {cryptosuite: eddsaRdfc2022CryptoSuite});
+
+/**
+ * Gets the signature suite class to use to sign zcap delegations (and any
+ * other proofs) with the given signer, based on the signer's key type.
+ *
+ * Signers for `Ed25519VerificationKey2020` keys and signers that do not
+ * express a `type` at all (e.g., the application identity's signer) use
+ * `Ed25519Signature2020`. Signers for `Multikey` keys use the Data Integrity
+ * `eddsa-rdfc-2022` or `ecdsa-rdfc-2019` cryptosuite, depending on the
+ * key's algorithm.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.signer - The signer to get the suite class for.
+ *
+ * @returns {Function} The signature suite class; its constructor accepts
+ *   `{signer}`.
+ */
+export function getSuiteClass({signer} = {}) {
+  const {type, algorithm} = signer;
+  if(type === undefined || type === 'Ed25519VerificationKey2020') {
+    return Ed25519Signature2020;
+  }
+  if(type === 'Multikey') {
+    if(algorithm === 'Ed25519') {
+      return EddsaRdfc2022;
+    }
+    if(ecdsaRdfc2019CryptoSuite.requiredAlgorithm.includes(algorithm)) {
+      return EcdsaRdfc2019;
+    }
+  }
+  throw new Error(
+    `Unsupported signer key type "${type}" with algorithm "${algorithm}".`);
+}
+
+// creates a suite class that can be passed as `SuiteClass` to a `ZcapClient`
+// and that expresses the Data Integrity context so that documents signed
+// with it can be processed without a remote document loader
+function _createDataIntegritySuiteClass({cryptosuite}) {
+  const SuiteClass = class extends DataIntegrityProof {
+    constructor({signer, date} = {}) {
+      super({signer, date, cryptosuite});
+    }
+  };
+  SuiteClass.CONTEXT_URL = dataIntegrityContext.constants.CONTEXT_URL;
+  SuiteClass.CONTEXT = dataIntegrityContext.CONTEXT;
+  return SuiteClass;
+}
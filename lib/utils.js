@@ -3,17 +3,30 @@
  */
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
+import * as didMethods from './didMethods.js';
+import {
+  AsymmetricKey, CapabilityAgent, Hmac, KeyAgreementKey, KmsClient
+} from '@digitalbazaar/webkms-client';
 import assert from 'assert-plus';
-import {CapabilityAgent} from '@digitalbazaar/webkms-client';
-import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {EdvClient} from '@digitalbazaar/edv-client';
 import {getAppIdentity} from '@bedrock/app-identity';
+import {getSuiteClass} from './signatureSuites.js';
 import {httpsAgent} from '@bedrock/https-agent';
+import {keyResolver} from './keyResolver.js';
 import {promisify} from 'node:util';
 import {randomBytes} from 'node:crypto';
 import {ZcapClient} from '@digitalbazaar/ezcap';
 
 export const randomBytesAsync = promisify(randomBytes);
 
+// core indexes for documents in a profile's user EDV
+export const USER_EDV_INDEXES = [
+  {attribute: 'content.id', unique: true},
+  {attribute: 'content.type'},
+  {attribute: 'content.name'},
+  {attribute: 'content.email'}
+];
+
 export let APP_ID;
 export let ZCAP_CLIENT;
 
@@ -22,10 +35,11 @@ bedrock.events.on('bedrock.init', () => {
   const {id, keys: {capabilityInvocationKey}} = getAppIdentity();
   APP_ID = id;
 
+  const invocationSigner = capabilityInvocationKey.signer();
   ZCAP_CLIENT = new ZcapClient({
     agent: httpsAgent,
-    invocationSigner: capabilityInvocationKey.signer(),
-    SuiteClass: Ed25519Signature2020
+    invocationSigner,
+    SuiteClass: getSuiteClass({signer: invocationSigner})
   });
 });
 
@@ -54,6 +68,83 @@ export async function createCapabilityAgent() {
   return {capabilityAgent, secret};
 }
 
+/**
+ * Gets an EDV client for accessing an EDV as its controller, the profile,
+ * using the profile's capability invocation key. The EDV's recipient keys
+ * (key agreement key and HMAC) are read from the EDV config and are used
+ * via the profile's keystore.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ * @param {object} options.profileSigner - The profile signer to use.
+ * @param {Array<object>} [options.indexes=[]] - Indexes to ensure on the
+ *   client.
+ *
+ * @returns {Promise<object>} Resolves to `{edvClient, config}`.
+ */
+export async function getProfileEdvClient({
+  edvId, profileSigner, indexes = []
+} = {}) {
+  const edvClient = new EdvClient({
+    id: edvId, invocationSigner: profileSigner, keyResolver, httpsAgent
+  });
+  const config = await edvClient.getConfig();
+  const kmsClient = new KmsClient({httpsAgent});
+  edvClient.keyAgreementKey = new KeyAgreementKey({
+    id: config.keyAgreementKey.id,
+    type: config.keyAgreementKey.type,
+    invocationSigner: profileSigner,
+    kmsClient
+  });
+  edvClient.hmac = new Hmac({
+    id: config.hmac.id,
+    type: config.hmac.type,
+    invocationSigner: profileSigner,
+    kmsClient
+  });
+  for(const index of indexes) {
+    edvClient.ensureIndex(index);
+  }
+  return {edvClient, config};
+}
+
+/**
+ * Ensures that the additional indexes given at profile creation are set on
+ * the given EDV client for the profile's user EDV. These indexes are listed
+ * in the profile's user EDV document.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.edvClient - An EDV client for the user EDV; unless
+ *   `invocationSigner` is given, it must be able to read the profile's user
+ *   EDV document using its defaults.
+ * @param {object} options.zcaps - The zcaps from a root profile agent's user
+ *   EDV document; if there is no `profile-edv-document` zcap, no indexes are
+ *   ensured.
+ * @param {object} [options.invocationSigner] - If given, the profile's user
+ *   EDV document is read by invoking the `profile-edv-document` zcap using
+ *   this signer, e.g., a root profile agent's signer.
+ * @param {object} [options.keyAgreementKey] - The key agreement key to use
+ *   to decrypt the profile's user EDV document with `invocationSigner`.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function ensureProfileIndexes({
+  edvClient, zcaps, invocationSigner, keyAgreementKey
+}) {
+  const {'profile-edv-document': capability} = zcaps;
+  if(!capability) {
+    return;
+  }
+  const options = {id: parseEdvDocumentId(capability)};
+  if(invocationSigner) {
+    Object.assign(options, {capability, invocationSigner, keyAgreementKey});
+  }
+  const {content} = await edvClient.get(options);
+  for(const index of content.accessManagement?.indexes ?? []) {
+    edvClient.ensureIndex(index);
+  }
+}
+
 export function getCollection(collectionName) {
   return database.collections[collectionName];
 }
@@ -63,19 +154,62 @@ export function getCollection(collectionName) {
  * @param {string} [options.didMethod='key'] - DID method to use for key id.
  * @param {object} [options.didOptions={}] - Optional did method options
  *   hashmap.
+ * @param {string} [options.keyType] - The type of key the public alias is
+ *   for, e.g., `Ed25519VerificationKey2020` or `P-256`.
  *
  * @returns {Promise<string>} Resolves with generated key id.
  */
-export function getPublicAliasTemplate({didMethod = 'key', didOptions = {}}) {
-  if(didMethod === 'key') {
-    return 'did:key:{publicKeyMultibase}#{publicKeyMultibase}';
+export function getPublicAliasTemplate({
+  didMethod = 'key', didOptions = {}, keyType
+}) {
+  if(!didMethods.isSupported({method: didMethod})) {
+    throw new Error(`DID Method not supported: "${didMethod}".`);
   }
-  if(didMethod === 'v1') {
-    const prefix = (didOptions.mode === 'test') ? 'did:v1:test:' : 'did:v1:';
-    return prefix + 'nym:{publicKeyMultibase}#{publicKeyMultibase}';
+  return didMethods.get({method: didMethod}).getPublicAliasTemplate(
+    {didOptions, keyType});
+}
+
+/**
+ * Gets a profile's capability invocation key, for use as a signer, via a zcap
+ * for it. If the profile's DID method derives key identifiers from key
+ * descriptions rather than public aliases (see `didMethods.register()`), the
+ * key's identifier is set accordingly.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.profileId - The ID of the profile.
+ * @param {object} options.capability - The zcap for the key.
+ * @param {object} options.invocationSigner - The signer to use to invoke the
+ *   zcap.
+ *
+ * @returns {Promise<AsymmetricKey>} Resolves to the key.
+ */
+export async function getProfileKey({
+  profileId, capability, invocationSigner
+} = {}) {
+  const key = await AsymmetricKey.fromCapability({
+    capability, invocationSigner, kmsClient: new KmsClient({httpsAgent})
+  });
+  const method = profileId.split(':')[1];
+  const {getKeyId} = didMethods.get({method});
+  if(getKeyId) {
+    key.id = await getKeyId({keyDescription: await key.getKeyDescription()});
   }
+  return key;
+}
 
-  throw new Error(`DID Method not supported: "${didMethod}".`);
+/**
+ * Gets the ID of the controller of the zcaps delegated to a profile agent,
+ * which is the DID of its capability invocation key. This is the profile
+ * agent's ID unless its key has been rotated.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.profileAgent - The profile agent.
+ *
+ * @returns {string} Returns the controller ID.
+ */
+export function getProfileAgentController({profileAgent}) {
+  const {capabilityInvocationKey: {id}} = profileAgent;
+  return id.slice(0, id.indexOf('#'));
 }
 
 /**
@@ -94,10 +228,41 @@ export function parseKeystoreId(keyId) {
   return keyId.slice(0, idx);
 }
 
+/**
+ * Parses an EDV ID from the invocation target of a zcap for an EDV's
+ * documents or for a specific EDV document.
+ *
+ * @param {object} capability - A zcap with an EDV invocation target.
+ *
+ * @returns {string} Returns the EDV ID.
+ */
+export function parseEdvId(capability) {
+  // target format: <edv-id>/documents[/<doc-id>]
+  const {invocationTarget} = capability;
+  const idx = invocationTarget.lastIndexOf('/documents');
+  if(idx === -1) {
+    throw new Error(`Invalid EDV invocation target "${invocationTarget}".`);
+  }
+  return invocationTarget.slice(0, idx);
+}
+
+/**
+ * Parses an EDV document ID from the invocation target of a zcap for a
+ * specific EDV document.
+ *
+ * @param {object} capability - A zcap for an EDV document.
+ *
+ * @returns {string} Returns the EDV document ID.
+ */
+export function parseEdvDocumentId(capability) {
+  const {invocationTarget} = capability;
+  return invocationTarget.slice(invocationTarget.lastIndexOf('/') + 1);
+}
+
 export function removeSecretsFromRecords({records}) {
   return records.map(record => {
     // eslint-disable-next-line no-unused-vars
-    const {secrets, encryptedSecrets, ...rest} = record;
+    const {secrets, encryptedSecrets, tokenHash, ...rest} = record;
     return rest;
   });
 }
@@ -0,0 +1,77 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import {logger} from './logger.js';
+import {refreshExpiringZcaps} from './profileAgents.js';
+
+const {config} = bedrock;
+
+bedrock.events.on('bedrock.ready', async () => {
+  const {refreshWorker} = config.profile.profileAgent.zcap;
+  _validateConfig({refreshWorker});
+  if(refreshWorker.interval === null) {
+    return;
+  }
+  _schedule({interval: refreshWorker.interval});
+});
+
+// exported for testing purposes only
+export function _validateConfig({refreshWorker}) {
+  const {interval, batchSize, concurrency} = refreshWorker;
+  if(!(interval === null || _isPositiveInteger(interval))) {
+    throw new Error(
+      'Configuration option "zcap.refreshWorker.interval" must be `null` or ' +
+      'a positive integer.');
+  }
+  for(const [name, value] of Object.entries({batchSize, concurrency})) {
+    if(!_isPositiveInteger(value)) {
+      throw new Error(
+        `Configuration option "zcap.refreshWorker.${name}" must be a ` +
+        'positive integer.');
+    }
+  }
+}
+
+// exported for testing purposes only
+export async function _runPass() {
+  const {
+    batchSize: limit, concurrency
+  } = config.profile.profileAgent.zcap.refreshWorker;
+  const report = {refreshed: 0, failed: []};
+  let after;
+  do {
+    const {
+      refreshed, failed, cursor
+    } = await refreshExpiringZcaps({limit, concurrency, after});
+    report.refreshed += refreshed;
+    report.failed.push(...failed);
+    after = cursor ?? undefined;
+  } while(after);
+
+  if(report.failed.length > 0) {
+    logger.error(
+      `Could not refresh zcaps for ${report.failed.length} profile ` +
+      'agent(s).', {profileAgents: report.failed.map(({id}) => id)});
+  }
+  logger.info(
+    `Refreshed zcaps for ${report.refreshed} profile agent(s).`);
+  return report;
+}
+
+function _schedule({interval}) {
+  const timer = setTimeout(async () => {
+    try {
+      await _runPass();
+    } catch(error) {
+      logger.error('Profile agent zcap refresh pass failed.', {error});
+    }
+    _schedule({interval});
+  }, interval);
+  // the worker must not keep the process running
+  timer.unref();
+}
+
+function _isPositiveInteger(x) {
+  return Number.isInteger(x) && x > 0;
+}
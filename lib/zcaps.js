@@ -2,7 +2,7 @@
  * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import assert from 'assert-plus';
-import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {getSuiteClass} from './signatureSuites.js';
 import {ZcapClient} from '@digitalbazaar/ezcap';
 
 export async function delegate({
@@ -20,8 +20,8 @@ export async function delegate({
   assert.string(controller, 'controller');
   assert.object(signer, 'signer');
 
-  // only supported `SuiteClass` at this time
-  const SuiteClass = Ed25519Signature2020;
+  // suite is selected by the key type of the delegating signer
+  const SuiteClass = getSuiteClass({signer});
 
   const zcapClient = new ZcapClient({SuiteClass, delegationSigner: signer});
   return zcapClient.delegate({
@@ -38,10 +38,24 @@ export async function refresh({capability, expires, signer}) {
     throw new TypeError(
       'Only capabilities with a chain length of one can be refreshed.');
   }
+  return redelegate({capability, expires, signer});
+}
+
+// delegates a new zcap from the same root zcap as the given one (which must
+// have a chain length of one), optionally to a different controller and/or
+// with fewer allowed actions
+export async function redelegate({
+  capability, controller = capability.controller, expires,
+  allowedActions = capability.allowedAction, signer
+}) {
+  if(capability.proof.capabilityChain.length !== 1) {
+    throw new TypeError(
+      'Only capabilities with a chain length of one can be redelegated.');
+  }
   return delegate({
-    allowedActions: capability.allowedAction,
+    allowedActions,
     capability: capability.proof.capabilityChain[0],
-    controller: capability.controller,
+    controller,
     expires,
     invocationTarget: capability.invocationTarget,
     signer
@@ -179,7 +179,111 @@ describe('profileAgents API', () => {
               profileAgent.capabilityInvocationKey.should.eql(
                 record.profileAgent.capabilityInvocationKey);
             });
+          it('successfully decrypts secrets using a previous KEK',
+            async () => {
+              const accountId = uuid();
+              const profileId = uuid();
+
+              const record = await profileAgents.create({
+                keystoreOptions, accountId, profileId, store: true
+              });
+
+              // rotate KEK, keeping the old one as a previous KEK
+              bedrock.config.profile.profileAgent.secretsEncryption = {
+                kek: {
+                  id: 'urn:test:aes256:rotated',
+                  secretKeyMultibase:
+                    'uogFt_qZcWf1beZZwhg4MLFTUAhjRUNlFRaxzY4MhLlM4cg'
+                },
+                previousKeks: [encryptConfig.kek]
+              };
+              await _loadKeks();
+
+              let error;
+              let fetchedRecord;
+              try {
+                fetchedRecord = await profileAgents.get({
+                  id: record.profileAgent.id, includeSecrets: true
+                });
+              } catch(e) {
+                error = e;
+              } finally {
+                bedrock.config.profile.profileAgent.secretsEncryption = {
+                  kek: encryptConfig.kek
+                };
+                await _loadKeks();
+              }
+              assertNoError(error);
+              should.exist(fetchedRecord);
+              should.exist(fetchedRecord.secrets);
+              fetchedRecord.secrets.should.eql(record.secrets);
+            });
+          it('successfully re-encrypts secrets using the current KEK',
+            async () => {
+              const accountId = uuid();
+              const profileId = uuid();
+
+              const record = await profileAgents.create({
+                keystoreOptions, accountId, profileId, store: true
+              });
+
+              const rotatedKek = {
+                id: 'urn:test:aes256:rotated',
+                secretKeyMultibase:
+                  'uogFt_qZcWf1beZZwhg4MLFTUAhjRUNlFRaxzY4MhLlM4cg'
+              };
+              let error;
+              let fetchedRecord;
+              try {
+                // rotate KEK and migrate all records to it
+                bedrock.config.profile.profileAgent.secretsEncryption = {
+                  kek: rotatedKek,
+                  previousKeks: [encryptConfig.kek]
+                };
+                await _loadKeks();
+                let after;
+                do {
+                  const result = await profileAgents.reencryptSecrets(
+                    {after});
+                  result.failed.should.eql([]);
+                  after = result.cursor;
+                } while(after);
+
+                // previous KEK is no longer needed to decrypt the record
+                bedrock.config.profile.profileAgent.secretsEncryption = {
+                  kek: rotatedKek
+                };
+                await _loadKeks();
+                fetchedRecord = await profileAgents.get({
+                  id: record.profileAgent.id, includeSecrets: true
+                });
+              } catch(e) {
+                error = e;
+              } finally {
+                bedrock.config.profile.profileAgent.secretsEncryption = {
+                  kek: encryptConfig.kek
+                };
+                await _loadKeks();
+              }
+              assertNoError(error);
+              should.exist(fetchedRecord);
+              fetchedRecord.secrets.should.eql(record.secrets);
+              fetchedRecord.profileAgent.sequence.should.equal(
+                record.profileAgent.sequence + 1);
+            });
         }
+        it('fails to re-encrypt secrets w/ an invalid limit', async () => {
+          for(const limit of [0, -1, 1.5]) {
+            let error;
+            try {
+              await profileAgents.reencryptSecrets({limit});
+            } catch(e) {
+              error = e;
+            }
+            should.exist(error);
+            error.should.be.instanceOf(TypeError);
+          }
+        });
         it('successfully get a profile agent by "profileId"', async () => {
           const accountId = uuid();
           const profileId = `did:example:${uuid()}`;
@@ -354,6 +458,98 @@ describe('profileAgents API', () => {
           should.exist(fetchedProfileAgent);
         });
       }); // end remove a profile agent
+      describe('Transfer Profile Agent', () => {
+        it('successfully transfer a profile agent', async () => {
+          const fromAccountId = uuid();
+          const toAccountId = uuid();
+          const {profileAgent} = await profileAgents.create({
+            keystoreOptions, accountId: fromAccountId, profileId: uuid(),
+            store: true
+          });
+          const emitted = [];
+          const listener = ({event}) => emitted.push(event);
+          bedrock.events.on(
+            'bedrock-profile.profileAgent.transferred', listener);
+
+          let error;
+          let record;
+          try {
+            record = await profileAgents.transfer(
+              {id: profileAgent.id, fromAccountId, toAccountId});
+          } catch(e) {
+            error = e;
+          } finally {
+            bedrock.events.removeListener(
+              'bedrock-profile.profileAgent.transferred', listener);
+          }
+          assertNoError(error);
+          record.profileAgent.account.should.equal(toAccountId);
+          record.profileAgent.sequence.should.equal(profileAgent.sequence + 1);
+          should.not.exist(record.secrets);
+          emitted.should.have.length(1);
+          emitted[0].account.should.equal(toAccountId);
+          emitted[0].details.from.should.equal(fromAccountId);
+          emitted[0].details.to.should.equal(toAccountId);
+
+          const {count} = await profileAgents.count({accountId: toAccountId});
+          count.should.equal(1);
+          const result = await profileAgents.count({accountId: fromAccountId});
+          result.count.should.equal(0);
+        });
+        it('successfully transfer a profile agent and clear its token',
+          async () => {
+            const token = uuid();
+            const accountId = uuid();
+            const {profileAgent} = await profileAgents.create({
+              keystoreOptions, profileId: uuid(), token, store: true
+            });
+            // associate profile agent w/ an account as in older records
+            const collection = database.collections['profile-profileAgent'];
+            await collection.updateOne(
+              {'profileAgent.id': profileAgent.id},
+              {$set: {'profileAgent.account': accountId}});
+
+            let error;
+            try {
+              await profileAgents.transfer({
+                id: profileAgent.id, fromAccountId: accountId,
+                toAccountId: uuid(), clearToken: true
+              });
+            } catch(e) {
+              error = e;
+            }
+            assertNoError(error);
+
+            error = undefined;
+            try {
+              await profileAgents.getByToken({token});
+            } catch(e) {
+              error = e;
+            }
+            should.exist(error);
+            error.name.should.equal('NotFoundError');
+          });
+        it('fails to transfer a profile agent when "fromAccountId" does ' +
+          'not match', async () => {
+          const accountId = uuid();
+          const {profileAgent} = await profileAgents.create({
+            keystoreOptions, accountId, profileId: uuid(), store: true
+          });
+
+          let error;
+          try {
+            await profileAgents.transfer({
+              id: profileAgent.id, fromAccountId: uuid(), toAccountId: uuid()
+            });
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.name.should.equal('NotFoundError');
+          const record = await profileAgents.get({id: profileAgent.id});
+          record.profileAgent.account.should.equal(accountId);
+        });
+      }); // end transfer a profile agent
       describe('Get All Profile Agents', () => {
         it('successfully gets all profile agents by "accountId"', async () => {
           const accountId = uuid();
@@ -397,6 +593,74 @@ describe('profileAgents API', () => {
             profileAgent0.capabilityInvocationKey);
         });
       }); // end get all profile agents
+      describe('Find Profile Agents by Account', () => {
+        it('successfully finds profile agents by page', async () => {
+          const accountId = uuid();
+          const profileId = uuid();
+          const otherProfileId = uuid();
+          await Promise.all([profileId, profileId, otherProfileId].map(
+            async profileId => profileAgents.create({
+              keystoreOptions, accountId, profileId, store: true
+            })));
+
+          let error;
+          let page1;
+          let page2;
+          try {
+            page1 = await profileAgents.findByAccount(
+              {accountId, limit: 2, refresh: false});
+            page2 = await profileAgents.findByAccount(
+              {accountId, limit: 2, after: page1.nextCursor});
+          } catch(e) {
+            error = e;
+          }
+          assertNoError(error);
+          page1.records.length.should.equal(2);
+          should.exist(page1.nextCursor);
+          page1.nextCursor.should.equal(page1.records[1].profileAgent.id);
+          page2.records.length.should.equal(1);
+          should.equal(page2.nextCursor, null);
+          const ids = [...page1.records, ...page2.records].map(
+            ({profileAgent}) => profileAgent.id);
+          ids.should.eql([...ids].sort());
+          for(const record of [...page1.records, ...page2.records]) {
+            should.not.exist(record.secrets);
+            record.profileAgent.account.should.equal(accountId);
+          }
+        });
+        it('successfully filters profile agents', async () => {
+          const accountId = uuid();
+          const profileId = uuid();
+          const otherProfileId = uuid();
+          await Promise.all([profileId, profileId, otherProfileId].map(
+            async profileId => profileAgents.create({
+              keystoreOptions, accountId, profileId, store: true
+            })));
+
+          let error;
+          let byProfile;
+          let nonRoots;
+          let roots;
+          try {
+            byProfile = await profileAgents.findByAccount(
+              {accountId, profileId, includeSecrets: true});
+            nonRoots = await profileAgents.findByAccount(
+              {accountId, root: false});
+            roots = await profileAgents.findByAccount(
+              {accountId, root: true});
+          } catch(e) {
+            error = e;
+          }
+          assertNoError(error);
+          byProfile.records.length.should.equal(2);
+          for(const record of byProfile.records) {
+            record.profileAgent.profile.should.equal(profileId);
+            should.exist(record.secrets);
+          }
+          nonRoots.records.length.should.equal(3);
+          roots.records.length.should.equal(0);
+        });
+      }); // end find profile agents by account
       describe('Update Profile Agent', () => {
         it('successfully update a profile agent', async () => {
           const accountId = uuid();
@@ -1,11 +1,12 @@
 /*!
  * Copyright (c) 2020-2026 Digital Bazaar, Inc.
  */
+import * as database from '@bedrock/mongodb';
 import * as helpers from './helpers.js';
+import {createHash, randomUUID as uuid} from 'node:crypto';
 import {getAppIdentity} from '@bedrock/app-identity';
 import {mockData} from './mock.data.js';
 import {profileAgents} from '@bedrock/profile';
-import {randomUUID as uuid} from 'node:crypto';
 
 describe('profileAgents getByToken API', () => {
   let keystoreOptions;
@@ -55,6 +56,255 @@ describe('profileAgents getByToken API', () => {
     profileAgent.profile.should.equal(profileId);
     profileAgent.sequence.should.equal(0);
     should.exist(secrets);
-    secrets.token.should.equal(token);
+    // token must not be stored
+    should.not.exist(secrets.token);
+  });
+  it('stores only a hash of the token', async () => {
+    const profileId = uuid();
+    const token = uuid();
+    let error;
+    let profileAgent;
+    try {
+      ({profileAgent} = await profileAgents.create({
+        keystoreOptions, profileId, token, store: true
+      }));
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+
+    const collection = database.collections['profile-profileAgent'];
+    const record = await collection.findOne(
+      {'profileAgent.id': profileAgent.id});
+    should.exist(record);
+    record.tokenHash.should.be.a('string');
+    record.tokenHash.should.not.equal(token);
+    JSON.stringify(record).should.not.include(token);
+    // the hash is keyed
+    record.tokenHash.should.not.equal(
+      createHash('sha256').update(token, 'utf8').digest('base64url'));
+  });
+  it('does not return the token hash', async () => {
+    const profileId = uuid();
+    const token = uuid();
+    const record = await profileAgents.create({
+      keystoreOptions, profileId, token, store: true
+    });
+    should.not.exist(record.tokenHash);
+    const {id} = record.profileAgent;
+
+    const results = [
+      await profileAgents.get({id, includeSecrets: true}),
+      await profileAgents.getByToken({token, includeSecrets: true}),
+      (await profileAgents.rotateToken({id})).profileAgentRecord
+    ];
+    for(const result of results) {
+      should.exist(result.profileAgent);
+      should.not.exist(result.tokenHash);
+    }
+  });
+  it('migrates a legacy plaintext token to a hash', async () => {
+    const profileId = uuid();
+    const token = uuid();
+    let error;
+    let record;
+    try {
+      record = await profileAgents.create({
+        keystoreOptions, profileId, store: false
+      });
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+
+    // insert record w/ legacy plaintext token directly
+    const collection = database.collections['profile-profileAgent'];
+    await collection.insertOne({
+      ...record,
+      secrets: {...record.secrets, token}
+    });
+
+    let profileAgent;
+    try {
+      ({profileAgent} = await profileAgents.getByToken({token}));
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+    profileAgent.id.should.equal(record.profileAgent.id);
+    profileAgent.sequence.should.equal(1);
+
+    const updatedRecord = await collection.findOne(
+      {'profileAgent.id': profileAgent.id});
+    updatedRecord.tokenHash.should.be.a('string');
+    JSON.stringify(updatedRecord).should.not.include(token);
+
+    // token must still work after migration
+    try {
+      ({profileAgent} = await profileAgents.getByToken({token}));
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+    profileAgent.sequence.should.equal(1);
+  });
+  it('successfully gets a profile agent by unexpired token', async () => {
+    const profileId = uuid();
+    const token = uuid();
+    const tokenExpires = new Date(Date.now() + 60000);
+    let error;
+    try {
+      await profileAgents.create({
+        keystoreOptions, profileId, token, tokenExpires, store: true
+      });
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+
+    let profileAgent;
+    try {
+      ({profileAgent} = await profileAgents.getByToken({token}));
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+    should.exist(profileAgent);
+    profileAgent.tokenExpires.should.equal(tokenExpires.toISOString());
+  });
+  it('fails to get a profile agent by expired token', async () => {
+    const profileId = uuid();
+    const token = uuid();
+    let error;
+    try {
+      await profileAgents.create({
+        keystoreOptions, profileId, token, tokenExpires: Date.now() - 1000,
+        store: true
+      });
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+
+    let result;
+    try {
+      result = await profileAgents.getByToken({token});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    should.not.exist(result);
+    error.name.should.equal('NotAllowedError');
+  });
+  it('successfully rotates a profile agent token', async () => {
+    const profileId = uuid();
+    const token = uuid();
+    let error;
+    let profileAgent;
+    try {
+      ({profileAgent} = await profileAgents.create({
+        keystoreOptions, profileId, token, store: true
+      }));
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+
+    let result;
+    try {
+      result = await profileAgents.rotateToken({
+        id: profileAgent.id, tokenExpires: Date.now() + 60000
+      });
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+    should.exist(result);
+    result.token.should.be.a('string');
+    result.token.should.not.equal(token);
+    result.profileAgentRecord.profileAgent.sequence.should.equal(1);
+    result.profileAgentRecord.profileAgent.tokenExpires.should.be.a('string');
+
+    // old token must no longer work
+    let record;
+    try {
+      record = await profileAgents.getByToken({token});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    should.not.exist(record);
+    error.name.should.equal('NotFoundError');
+
+    // new token must work
+    error = null;
+    try {
+      record = await profileAgents.getByToken(
+        {token: result.token, includeSecrets: true});
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+    record.profileAgent.id.should.equal(profileAgent.id);
+    should.exist(record.secrets.seed);
+  });
+  it('successfully revokes a profile agent token', async () => {
+    const profileId = uuid();
+    const token = uuid();
+    let error;
+    let profileAgent;
+    try {
+      ({profileAgent} = await profileAgents.create({
+        keystoreOptions, profileId, token, tokenExpires: Date.now() + 60000,
+        store: true
+      }));
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+
+    let record;
+    try {
+      record = await profileAgents.revokeToken({id: profileAgent.id});
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+    should.not.exist(record.profileAgent.tokenExpires);
+
+    record = null;
+    try {
+      record = await profileAgents.getByToken({token});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    should.not.exist(record);
+    error.name.should.equal('NotFoundError');
+  });
+  it('fails to rotate the token of an account profile agent', async () => {
+    const accountId = uuid();
+    const profileId = uuid();
+    let error;
+    let profileAgent;
+    try {
+      ({profileAgent} = await profileAgents.create({
+        keystoreOptions, accountId, profileId, store: true
+      }));
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+
+    let result;
+    try {
+      result = await profileAgents.rotateToken({id: profileAgent.id});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    should.not.exist(result);
+    error.name.should.equal('NotAllowedError');
+    error.details.httpStatusCode.should.equal(403);
   });
 }); // end profileAgents getByToken API
@@ -0,0 +1,195 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as helpers from './helpers.js';
+import {profileAgents, profileMeters} from '@bedrock/profile';
+import {getAppIdentity} from '@bedrock/app-identity';
+import {mockData} from './mock.data.js';
+import {randomUUID as uuid} from 'node:crypto';
+
+// imports are for testing purposes only; not public exports
+import {_loadKek} from '@bedrock/profile/lib/recordBundles.js';
+import {_loadKeks} from '@bedrock/profile/lib/secretsEncryption.js';
+
+describe('profileAgents export/import API', () => {
+  let keystoreOptions;
+  let profileAgentCollection;
+  // mock session authentication for delegations endpoint
+  let passportStub;
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+    passportStub = helpers.stubPassport();
+    profileAgentCollection = database.collections['profile-profileAgent'];
+
+    const {id, keys} = getAppIdentity();
+    bedrock.config.profile.profileAgent.recordExport = {
+      kek: {
+        id: 'urn:test:export',
+        secretKeyMultibase: 'uogH3ERq9FRYOV8IuUiD2gKZs_qN6SLU-6RtbBUfzqQwGdg'
+      },
+      trustedExporters: [id]
+    };
+    await _loadKek();
+
+    // top-level applications must create meters
+    const invocationSigner = keys.capabilityInvocationKey.signer();
+    const {id: meterId} = await helpers.createMeter({type: 'webkms'});
+    keystoreOptions = {
+      meterId,
+      meterCapabilityInvocationSigner: invocationSigner
+    };
+  });
+  after(async () => {
+    passportStub.restore();
+    bedrock.config.profile.profileAgent.recordExport = {
+      kek: null, trustedExporters: []
+    };
+    await _loadKek();
+    bedrock.config.profile.profileAgent.secretsEncryption = {kek: null};
+    await _loadKeks();
+  });
+
+  async function _createProfileAgents({count = 2} = {}) {
+    const accountId = uuid();
+    const profileId = `did:example:${uuid()}`;
+    const records = [];
+    for(let i = 0; i < count; ++i) {
+      records.push(await profileAgents.create({
+        keystoreOptions, accountId, profileId, store: true
+      }));
+    }
+    const meter = {
+      id: `${keystoreOptions.meterId}/${uuid()}`,
+      profile: profileId,
+      serviceType: 'webkms',
+      referenceId: 'profile:core:webkms'
+    };
+    await profileMeters.add({meter});
+    return {accountId, profileId, records, meter};
+  }
+
+  it('exports and imports profile agent records and meters', async () => {
+    const {profileId, records, meter} = await _createProfileAgents();
+    const ids = records.map(({profileAgent}) => profileAgent.id);
+    const expected = await Promise.all(ids.map(
+      id => profileAgents.get({id, includeSecrets: true, _reconcile: false})));
+
+    let error;
+    let result;
+    try {
+      result = await profileAgents.exportRecords({profileId});
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+    result.count.should.equal(2);
+    const {bundle} = result;
+    bundle.type.should.equal('ProfileAgentRecordBundle');
+    bundle.exporter.should.equal(getAppIdentity().id);
+    should.exist(bundle.encryptedContent);
+    should.exist(bundle.proof);
+    // secrets must not be exposed in the bundle
+    JSON.stringify(bundle).should.not.include(
+      expected[0].secrets.seed);
+
+    // remove records and meters to simulate a destination deployment; use
+    // secrets encryption at the destination
+    await profileAgents.removeByProfile({profileId});
+    await profileMeters.remove({id: meter.id});
+    bedrock.config.profile.profileAgent.secretsEncryption = {
+      kek: {
+        id: 'urn:test:aes256',
+        secretKeyMultibase: 'uogH3ERq9FRYOV8IuUiD2gKZs_qN6SLU-6RtbBUfzqQwGdg'
+      }
+    };
+    await _loadKeks();
+
+    error = undefined;
+    try {
+      // bundle is transmitted as JSON
+      result = await profileAgents.importRecords(
+        {bundle: JSON.parse(JSON.stringify(bundle))});
+    } catch(e) {
+      error = e;
+    }
+    assertNoError(error);
+    result.records.imported.should.have.members(ids);
+    result.records.duplicates.should.have.length(0);
+    result.meters.imported.should.eql([meter.id]);
+    result.meters.duplicates.should.have.length(0);
+
+    for(const [i, id] of ids.entries()) {
+      const record = await profileAgents.get(
+        {id, includeSecrets: true, _reconcile: false});
+      record.profileAgent.should.eql(expected[i].profileAgent);
+      record.secrets.should.eql(expected[i].secrets);
+      // secrets must have been re-encrypted
+      const rawRecord = await profileAgentCollection.findOne(
+        {'profileAgent.id': id});
+      should.not.exist(rawRecord.secrets);
+      rawRecord.encryptedSecrets.kekId.should.equal('urn:test:aes256');
+    }
+    await profileMeters.get({id: meter.id});
+
+    // importing again must only find duplicates
+    result = await profileAgents.importRecords({bundle});
+    result.records.imported.should.have.length(0);
+    result.records.duplicates.should.have.members(ids);
+    result.meters.duplicates.should.eql([meter.id]);
+
+    bedrock.config.profile.profileAgent.secretsEncryption = {kek: null};
+    await _loadKeks();
+  });
+  it('exports profile agent records by account', async () => {
+    const {accountId, records} = await _createProfileAgents({count: 1});
+    const {bundle, count} = await profileAgents.exportRecords({accountId});
+    count.should.equal(1);
+    await profileAgents.remove({id: records[0].profileAgent.id});
+    const result = await profileAgents.importRecords({bundle});
+    result.records.imported.should.eql([records[0].profileAgent.id]);
+  });
+  it('fails to import a modified bundle', async () => {
+    const {profileId} = await _createProfileAgents({count: 1});
+    const {bundle} = await profileAgents.exportRecords({profileId});
+    bundle.created = new Date(0).toISOString();
+
+    let error;
+    try {
+      await profileAgents.importRecords({bundle});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('DataError');
+  });
+  it('fails to import a bundle from an untrusted exporter', async () => {
+    const {profileId} = await _createProfileAgents({count: 1});
+    const {bundle} = await profileAgents.exportRecords({profileId});
+    const {recordExport} = bedrock.config.profile.profileAgent;
+    const {trustedExporters} = recordExport;
+    recordExport.trustedExporters = [];
+
+    let error;
+    try {
+      await profileAgents.importRecords({bundle});
+    } catch(e) {
+      error = e;
+    } finally {
+      recordExport.trustedExporters = trustedExporters;
+    }
+    should.exist(error);
+    error.name.should.equal('NotAllowedError');
+  });
+  it('fails to export w/o "profileId" or "accountId"', async () => {
+    let error;
+    try {
+      await profileAgents.exportRecords();
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.should.be.instanceOf(TypeError);
+  });
+});
@@ -4,8 +4,10 @@
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
 import * as helpers from './helpers.js';
-import {profileAgents, profiles} from '@bedrock/profile';
+import {didMethods, profileAgents, profiles} from '@bedrock/profile';
+import {EdvClient} from '@digitalbazaar/edv-client';
 import {getAppIdentity} from '@bedrock/app-identity';
+import {httpsAgent} from '@bedrock/https-agent';
 import {mockData} from './mock.data.js';
 import {randomUUID as uuid} from 'node:crypto';
 
@@ -259,6 +261,336 @@ describe('profiles API', () => {
       profile.edvs.should.be.an('object');
       profile.edvs.should.include.keys(['user', 'credentials', 'inbox']);
     });
+    it('should emit provisioning hook events', async () => {
+      const accountId = uuid();
+      const didMethod = 'key';
+      const names = [
+        'keystoreCreated', 'edvsCreated', 'writingUserDocs',
+        'userDocsWritten', 'recordInserted', 'complete'
+      ];
+      const emitted = [];
+      let seedDoc;
+      for(const name of names) {
+        bedrock.events.on(`bedrock-profile.provisioning.${name}`,
+          async data => {
+            // ignore events from other tests
+            if(data.accountId !== accountId) {
+              return;
+            }
+            emitted.push({name, data});
+            if(name === 'writingUserDocs') {
+              data.profileAgentUserDoc.content.name = 'custom root';
+            } else if(name === 'userDocsWritten') {
+              const {edvClient} = data;
+              const id = await EdvClient.generateId();
+              await edvClient.update(
+                {doc: {id, content: {id: `urn:uuid:${uuid()}`}}});
+              seedDoc = await edvClient.get({id});
+            }
+          });
+      }
+      let error;
+      let profile;
+      try {
+        profile = await profiles.create({
+          accountId, didMethod, edvOptions, keystoreOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(profile);
+      // events must be emitted in provisioning order
+      emitted.map(({name}) => name).should.eql(names);
+      for(const {data} of emitted) {
+        data.profileId.should.equal(profile.id);
+      }
+      emitted[0].data.keystore.id.should.be.a('string');
+      emitted[0].data.key.id.startsWith(`${profile.id}#`).should.equal(true);
+      emitted[1].data.edvs.should.have.keys(['user']);
+      should.exist(seedDoc);
+      emitted[4].data.profileAgentRecord.profileAgent.profile.should.equal(
+        profile.id);
+      emitted[5].data.meters.should.have.length(2);
+
+      // root profile agent user doc must include listener's change
+      const [profileAgentRecord] = await profileAgents.getAll({accountId});
+      const edvDoc = await helpers.getUserEdvDocument({profileAgentRecord});
+      const {content} = await edvDoc.read();
+      content.name.should.equal('custom root');
+    });
+    it('should create a profile w/ custom user EDV content', async () => {
+      const accountId = uuid();
+      const didMethod = 'key';
+      const profileContent = {name: 'Alice', avatar: 'urn:avatar:1'};
+      const profileAgentContent = {name: 'Alice\'s laptop', device: 'laptop'};
+      const indexes = [{attribute: 'content.avatar'}];
+      let error;
+      let profile;
+      try {
+        profile = await profiles.create({
+          accountId, didMethod, edvOptions, keystoreOptions,
+          profileContent, profileAgentContent, indexes
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(profile);
+
+      // root profile agent user doc must include custom content
+      const [profileAgentRecord] = await profileAgents.getAll({accountId});
+      const edvDoc = await helpers.getUserEdvDocument({profileAgentRecord});
+      const {content: profileAgentUserDocContent} = await edvDoc.read();
+      profileAgentUserDocContent.id.should.equal(
+        profileAgentRecord.profileAgent.id);
+      profileAgentUserDocContent.name.should.equal(profileAgentContent.name);
+      profileAgentUserDocContent.device.should.equal('laptop');
+      profileAgentUserDocContent.type.should.eql(['User', 'Agent']);
+
+      // profile user doc must include custom content and be found via the
+      // additional index
+      const profileSigner = await profileAgents.getProfileSigner(
+        {profileAgentRecord});
+      const edvId = helpers.parseEdvId(
+        {capability: profileAgentRecord.profileAgent.zcaps.userDocument});
+      const edvClient = new EdvClient({id: edvId, httpsAgent});
+      const edvConfig = await helpers.getEdvConfig({edvClient, profileSigner});
+      const {documents} = await helpers.queryForEdvDocument({
+        equals: [{'content.avatar': profileContent.avatar}],
+        indexes, edvClient, edvConfig, profileSigner
+      });
+      documents.should.have.length(1);
+      const [{content: profileUserDocContent}] = documents;
+      profileUserDocContent.id.should.equal(profile.id);
+      profileUserDocContent.name.should.equal(profileContent.name);
+      profileUserDocContent.type.should.eql(['User', 'Profile']);
+      profileUserDocContent.accessManagement.indexes.should.deep.include(
+        indexes[0]);
+    });
+    it('should fail to create a profile w/ reserved content', async () => {
+      const accountId = uuid();
+      const didMethod = 'key';
+      const tests = [
+        {profileContent: {zcaps: {}}},
+        {profileContent: {accessManagement: {}}},
+        {profileAgentContent: {id: 'urn:uuid:foo'}},
+        {indexes: [{attribute: 'content.id'}]},
+        {indexes: [{attribute: 'avatar'}]},
+        {indexes: [{attribute: 'content.a'}, {attribute: 'content.a'}]}
+      ];
+      for(const options of tests) {
+        let error;
+        let profile;
+        try {
+          profile = await profiles.create({
+            accountId, didMethod, edvOptions, keystoreOptions, ...options
+          });
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        should.not.exist(profile);
+        error.message.should.match(/reserved|duplicated|must start with/);
+      }
+    });
+    it('should create a profile w/ "did:web"', async () => {
+      const accountId = uuid();
+      const didMethod = 'web';
+      // the test server serves DID documents for these DIDs
+      const {host} = new URL(bedrock.config.server.baseUri);
+      const didOptions = {domain: host, path: ['profiles']};
+      let error;
+      let profile;
+      try {
+        profile = await profiles.create({
+          accountId, didMethod, edvOptions, keystoreOptions, didOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(profile);
+      profile.id.startsWith(
+        `did:web:${encodeURIComponent(host)}:profiles:z`).should.equal(true);
+
+      // zcaps delegated by the profile are verified using its DID document
+      const [profileAgentRecord] = await profileAgents.getRootAgents(
+        {profileId: profile.id, includeSecrets: true});
+      const {edvs} = await profiles.getEdvs(
+        {profileId: profile.id, profileAgentRecord});
+      edvs.should.have.length(1);
+    });
+    for(const keyType of ['Ed25519', 'P-256']) {
+      it(`should create a profile w/ "did:jwk" and "${keyType}"`, async () => {
+        const accountId = uuid();
+        const didMethod = 'jwk';
+        let error;
+        let profile;
+        try {
+          profile = await profiles.create({
+            accountId, didMethod, edvOptions, keystoreOptions, keyType
+          });
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        should.exist(profile);
+        profile.id.startsWith('did:jwk:').should.equal(true);
+        const jwk = JSON.parse(Buffer.from(
+          profile.id.slice('did:jwk:'.length), 'base64url').toString());
+        jwk.crv.should.equal(keyType);
+
+        // the profile's key is identified by its `did:jwk` DID and zcaps
+        // delegated by the profile are verified using its DID document
+        const [profileAgentRecord] = await profileAgents.getRootAgents(
+          {profileId: profile.id, includeSecrets: true});
+        const profileSigner = await profileAgents.getProfileSigner(
+          {profileAgentRecord});
+        profileSigner.id.should.equal(`${profile.id}#0`);
+        const {edvs} = await profiles.getEdvs(
+          {profileId: profile.id, profileAgentRecord});
+        edvs.should.have.length(1);
+      });
+    }
+    it('should throw error if "did:jwk" is used w/ an ' +
+      '"Ed25519VerificationKey2020" key', async () => {
+      const accountId = uuid();
+      const didMethod = 'jwk';
+      let error;
+      let profile;
+      try {
+        profile = await profiles.create({
+          accountId, didMethod, edvOptions, keystoreOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      should.not.exist(profile);
+      error.message.should.equal(
+        '"did:jwk" does not support key type "Ed25519VerificationKey2020".');
+    });
+    it('should create a profile w/ a registered DID method', async () => {
+      const accountId = uuid();
+      const didMethod = 'example';
+      const calls = [];
+      didMethods.register({
+        method: didMethod,
+        getPublicAliasTemplate() {
+          return 'did:example:{publicKeyMultibase}#{publicKeyMultibase}';
+        },
+        async postKeyGeneration({id, key, didOptions}) {
+          calls.push({id, key, didOptions});
+        }
+      });
+      let error;
+      let profile;
+      try {
+        profile = await profiles.create({
+          accountId, didMethod, edvOptions, keystoreOptions, didOptions: {}
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(profile);
+      profile.id.startsWith('did:example:z').should.equal(true);
+      calls.should.have.length(1);
+      calls[0].id.should.equal(profile.id);
+      calls[0].key.id.startsWith(`${profile.id}#`).should.equal(true);
+
+      // zcaps delegated by the profile are verified using its DID document
+      const [profileAgentRecord] = await profileAgents.getRootAgents(
+        {profileId: profile.id, includeSecrets: true});
+      const {edvs} = await profiles.getEdvs(
+        {profileId: profile.id, profileAgentRecord});
+      edvs.should.have.length(1);
+    });
+    it('should throw error if "did:web" domain is missing', async () => {
+      const accountId = uuid();
+      const didMethod = 'web';
+      let error;
+      let profile;
+      try {
+        profile = await profiles.create({
+          accountId, didMethod, edvOptions, keystoreOptions, didOptions: {}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      should.not.exist(profile);
+      error.message.should.equal('didOptions.domain (string) is required');
+    });
+    it('should create a profile w/ a "P-256" key', async () => {
+      const accountId = uuid();
+      const didMethod = 'key';
+      let error;
+      let profile;
+      try {
+        profile = await profiles.create({
+          accountId, didMethod, edvOptions, keystoreOptions, keyType: 'P-256'
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(profile);
+      // base58-encoded multikey header for P-256 public keys
+      profile.id.startsWith('did:key:zDna').should.equal(true);
+    });
+    it('should create a profile w/ a "P-384" key', async () => {
+      const accountId = uuid();
+      const didMethod = 'key';
+      let error;
+      let profile;
+      try {
+        profile = await profiles.create({
+          accountId, didMethod, edvOptions, keystoreOptions, keyType: 'P-384'
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(profile);
+      // base58-encoded multikey header for P-384 public keys
+      profile.id.startsWith('did:key:z82L').should.equal(true);
+    });
+    it('should throw error if "did:v1" is used w/ a "P-256" key', async () => {
+      const accountId = uuid();
+      const didMethod = 'v1';
+      let error;
+      let profile;
+      try {
+        profile = await profiles.create({
+          accountId, didMethod, edvOptions, keystoreOptions, keyType: 'P-256'
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      should.not.exist(profile);
+      error.message.should.equal('"did:v1" does not support key type "P-256".');
+    });
+    it('should throw error if keyType is not supported', async () => {
+      const accountId = uuid();
+      const didMethod = 'key';
+      let error;
+      let profile;
+      try {
+        profile = await profiles.create({
+          accountId, didMethod, edvOptions, keystoreOptions,
+          keyType: 'secp256k1'
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      should.not.exist(profile);
+      error.message.should.equal(
+        'Unsupported profile key type "secp256k1".');
+    });
     it('should throw error if didMethod is not `key` or `v1`', async () => {
       const accountId = uuid();
       const didMethod = 'some-other-method';
@@ -329,4 +661,489 @@ describe('profiles API', () => {
       error.message.should.equal('didOptions (object) is required');
     });
   });
+  describe('Add Profile EDV', () => {
+    it('should add an EDV to a profile', async () => {
+      const accountId = uuid();
+      const didMethod = 'key';
+      const profile = await profiles.create({
+        accountId, didMethod, edvOptions, keystoreOptions
+      });
+      // a new meter, controlled by the local application, must be used
+      const {id: meterId} = await helpers.createMeter({type: 'edv'});
+      const newEdvOptions = {profile: {...edvOptions.profile, meterId}};
+
+      let error;
+      let result;
+      try {
+        result = await profiles.addEdv({
+          profileId: profile.id, referenceId: 'credentials',
+          edvOptions: newEdvOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.referenceId.should.equal('credentials');
+      result.id.should.be.a('string');
+      result.config.id.should.equal(result.id);
+      result.config.controller.should.equal(profile.id);
+
+      // meter must be recorded for the profile
+      const meters = await database.collections['profile-meter'].find({
+        'meter.profile': profile.id,
+      }).toArray();
+      meters.should.have.length(3);
+      meters.map(({meter}) => meter.referenceId).should.include(
+        'profile:credentials:edv');
+
+      // root profile agent must be able to use the new EDV
+      const [profileAgentRecord] = await profileAgents.getRootAgents(
+        {profileId: profile.id, includeSecrets: true});
+      const id = await EdvClient.generateId();
+      const edvDoc = await helpers.getProfileAgentWritableEdvDocument(
+        {profileAgentRecord, id, edvName: 'credentials'});
+      await edvDoc.write({
+        doc: {id, content: {id: `urn:uuid:${uuid()}`, name: 'test'}}
+      });
+      const doc = await edvDoc.read();
+      doc.content.name.should.equal('test');
+    });
+    it('should fail to add an EDV w/ an existing reference ID', async () => {
+      const accountId = uuid();
+      const didMethod = 'key';
+      const newEdvOptions = {
+        profile: {
+          ...edvOptions.profile,
+          additionalEdvs: [{referenceId: 'credentials'}]
+        }
+      };
+      const profile = await profiles.create({
+        accountId, didMethod, edvOptions: newEdvOptions, keystoreOptions
+      });
+      const {id: meterId} = await helpers.createMeter({type: 'edv'});
+
+      let error;
+      try {
+        await profiles.addEdv({
+          profileId: profile.id, referenceId: 'credentials',
+          edvOptions: {profile: {...edvOptions.profile, meterId}}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('DuplicateError');
+    });
+    it('should fail to add an EDV w/ "user" reference ID', async () => {
+      let error;
+      try {
+        await profiles.addEdv({
+          profileId: `did:example:${uuid()}`, referenceId: 'user',
+          edvOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.message.should.equal('"user" reference ID is reserved.');
+    });
+    it('should fail to add an EDV w/o a root profile agent', async () => {
+      let error;
+      try {
+        await profiles.addEdv({
+          profileId: `did:example:${uuid()}`, referenceId: 'credentials',
+          edvOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+  });
+  describe('Get Profile EDVs', () => {
+    let profile;
+    let rootAgentRecord;
+    before(async () => {
+      const newEdvOptions = {
+        profile: {
+          ...edvOptions.profile,
+          additionalEdvs: [{referenceId: 'credentials'}]
+        }
+      };
+      profile = await profiles.create({
+        accountId: uuid(), didMethod: 'key', edvOptions: newEdvOptions,
+        keystoreOptions
+      });
+      [rootAgentRecord] = await profileAgents.getRootAgents(
+        {profileId: profile.id, includeSecrets: true});
+    });
+    it('should get the EDVs for a root profile agent', async () => {
+      let error;
+      let result;
+      try {
+        result = await profiles.getEdvs(
+          {profileId: profile.id, profileAgentRecord: rootAgentRecord});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      const {edvs} = result;
+      edvs.map(({referenceId}) => referenceId).should.eql(
+        ['credentials', 'user']);
+      for(const {referenceId, id, config, zcaps} of edvs) {
+        id.should.be.a('string');
+        config.id.should.equal(id);
+        config.controller.should.equal(profile.id);
+        Object.keys(zcaps).should.have.members([
+          `${referenceId}-edv-documents`,
+          `${referenceId}-edv-hmac`,
+          `${referenceId}-edv-kak`
+        ]);
+      }
+    });
+    it('should get the EDVs for a non-root profile agent', async () => {
+      const profileAgentRecord = await profileAgents.provisionForProfile({
+        profileId: profile.id,
+        rootAgentRecord,
+        keystoreOptions: keystoreOptions.profileAgent,
+        edvReferenceIds: ['credentials'],
+        accountId: uuid()
+      });
+
+      let error;
+      let result;
+      try {
+        result = await profiles.getEdvs(
+          {profileId: profile.id, profileAgentRecord});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      const {edvs: [credentialsEdv, userEdv]} = result;
+      credentialsEdv.referenceId.should.equal('credentials');
+      credentialsEdv.config.id.should.equal(credentialsEdv.id);
+      Object.keys(credentialsEdv.zcaps).should.have.length(3);
+      // only the user EDV KAK zcap is held for the user EDV
+      userEdv.referenceId.should.equal('user');
+      userEdv.config.id.should.equal(userEdv.id);
+      Object.keys(userEdv.zcaps).should.eql(['user-edv-kak']);
+    });
+    it('should fail to get EDVs w/ another profile\'s agent', async () => {
+      let error;
+      try {
+        await profiles.getEdvs({
+          profileId: `did:example:${uuid()}`,
+          profileAgentRecord: rootAgentRecord
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.should.be.instanceOf(TypeError);
+    });
+  });
+  describe('Remove Profile', () => {
+    it('should remove a profile', async () => {
+      const accountId = uuid();
+      const didMethod = 'key';
+      const profile = await profiles.create({
+        accountId, didMethod, edvOptions, keystoreOptions
+      });
+
+      let error;
+      let result;
+      try {
+        result = await profiles.remove({profileId: profile.id});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.should.eql({profileAgents: 1, meters: 2});
+      const agents = await profileAgentCollection.find({
+        'profileAgent.profile': profile.id,
+      }).toArray();
+      agents.should.have.length(0);
+      const meters = await database.collections['profile-meter'].find({
+        'meter.profile': profile.id,
+      }).toArray();
+      meters.should.have.length(0);
+      // keystore is still controlled by the profile
+      const keystores = await kmsKeystoreCollection.find({
+        'config.controller': profile.id,
+      }).toArray();
+      keystores.should.have.length(1);
+    });
+    it('should remove a profile and disable its services', async () => {
+      const accountId = uuid();
+      const didMethod = 'key';
+      const newEdvOptions = {
+        profile: {
+          ...edvOptions.profile,
+          additionalEdvs: [{referenceId: 'credentials'}]
+        }
+      };
+      const profile = await profiles.create({
+        accountId, didMethod, edvOptions: newEdvOptions, keystoreOptions
+      });
+
+      let error;
+      let result;
+      try {
+        result = await profiles.remove(
+          {profileId: profile.id, disableServices: true});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.should.eql({profileAgents: 1, meters: 2});
+      const agents = await profileAgentCollection.find({
+        'profileAgent.profile': profile.id,
+      }).toArray();
+      agents.should.have.length(0);
+      // keystore is no longer controlled by the profile
+      const keystores = await kmsKeystoreCollection.find({
+        'config.controller': profile.id,
+      }).toArray();
+      keystores.should.have.length(0);
+    });
+    it('should fail to disable services w/o a root profile agent',
+      async () => {
+        let error;
+        try {
+          await profiles.remove(
+            {profileId: `did:example:${uuid()}`, disableServices: true});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.name.should.equal('NotFoundError');
+      });
+  });
+  describe('Recover Profile', () => {
+    it('should recover a profile w/o a root profile agent', async () => {
+      const newEdvOptions = {
+        profile: {
+          ...edvOptions.profile,
+          additionalEdvs: [{referenceId: 'credentials'}]
+        }
+      };
+      const profile = await profiles.create({
+        accountId: uuid(), didMethod: 'key', edvOptions: newEdvOptions,
+        keystoreOptions, enableRecovery: true
+      });
+      // EDVs added after creation must also be recoverable
+      const {id: meterId} = await helpers.createMeter({type: 'edv'});
+      await profiles.addEdv({
+        profileId: profile.id, referenceId: 'documents',
+        edvOptions: {profile: {...edvOptions.profile, meterId}}
+      });
+      // simulate loss of the only root profile agent
+      const [lostAgentRecord] = await profileAgents.getRootAgents(
+        {profileId: profile.id});
+      await profileAgents.remove({id: lostAgentRecord.profileAgent.id});
+
+      const accountId = uuid();
+      let error;
+      let record;
+      try {
+        record = await profiles.recover({
+          profileId: profile.id, accountId,
+          keystoreOptions: keystoreOptions.profileAgent
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      record.profileAgent.profile.should.equal(profile.id);
+      record.profileAgent.account.should.equal(accountId);
+      record.profileAgent.zcaps.should.have.keys([
+        'profileCapabilityInvocationKey', 'userDocument', 'user-edv-kak'
+      ]);
+
+      // recovered root profile agent can act as the profile
+      const [profileAgentRecord] = await profileAgents.getRootAgents(
+        {profileId: profile.id, includeSecrets: true});
+      profileAgentRecord.profileAgent.id.should.equal(record.profileAgent.id);
+      const {edvs} = await profiles.getEdvs(
+        {profileId: profile.id, profileAgentRecord});
+      edvs.map(({referenceId}) => referenceId).should.eql(
+        ['credentials', 'documents', 'user']);
+      for(const {config} of edvs) {
+        config.controller.should.equal(profile.id);
+      }
+      const id = await EdvClient.generateId();
+      const edvDoc = await helpers.getProfileAgentWritableEdvDocument(
+        {profileAgentRecord, id, edvName: 'documents'});
+      await edvDoc.write({
+        doc: {id, content: {id: `urn:uuid:${uuid()}`, name: 'test'}}
+      });
+    });
+    it('should fail to recover a profile w/o recovery enabled', async () => {
+      const profile = await profiles.create({
+        accountId: uuid(), didMethod: 'key', edvOptions, keystoreOptions
+      });
+
+      let error;
+      try {
+        await profiles.recover({
+          profileId: profile.id, accountId: uuid(),
+          keystoreOptions: keystoreOptions.profileAgent
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+    it('should not recover a profile after it is removed', async () => {
+      const profile = await profiles.create({
+        accountId: uuid(), didMethod: 'key', edvOptions, keystoreOptions,
+        enableRecovery: true
+      });
+      await profiles.remove({profileId: profile.id});
+
+      let error;
+      try {
+        await profiles.recover({
+          profileId: profile.id, accountId: uuid(),
+          keystoreOptions: keystoreOptions.profileAgent
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+  });
+  describe('Collect Garbage', () => {
+    let provisioningCollection;
+    before(async () => {
+      provisioningCollection = database.collections['profile-provisioning'];
+      await provisioningCollection.deleteMany({});
+    });
+    it('should not track completed provisioning processes', async () => {
+      const accountId = uuid();
+      const didMethod = 'key';
+      await profiles.create({
+        accountId, didMethod, edvOptions, keystoreOptions
+      });
+      const records = await provisioningCollection.find({}).toArray();
+      records.should.have.length(0);
+    });
+    it('should collect abandoned provisioning processes', async () => {
+      // simulate abandoned process that created a profile keystore and EDV
+      const {id: meterId} = await helpers.createMeter({type: 'edv'});
+      const created = Date.now() -
+        bedrock.config.profile.provisioning.gracePeriod - 1000;
+      const abandoned = {
+        id: `urn:uuid:${uuid()}`,
+        meters: [meterId],
+        profile: `did:example:${uuid()}`,
+        keystore: `https://example.com/keystores/${uuid()}`,
+        edvs: [`https://example.com/edvs/${uuid()}`]
+      };
+      await provisioningCollection.insertOne({
+        meta: {created, updated: created},
+        provisioning: abandoned
+      });
+
+      // simulate completed process whose record was not removed
+      const profile = await profiles.create({
+        accountId: uuid(), didMethod: 'key', edvOptions, keystoreOptions
+      });
+      await provisioningCollection.insertOne({
+        meta: {created, updated: created},
+        provisioning: {
+          id: `urn:uuid:${uuid()}`,
+          meters: [edvOptions.profile.meterId],
+          profile: profile.id
+        }
+      });
+
+      let error;
+      let result;
+      try {
+        result = await profiles.collectGarbage();
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.failed.should.eql([]);
+      result.completed.should.equal(1);
+      result.collected.should.have.length(1);
+      const [collected] = result.collected;
+      collected.profile.should.equal(abandoned.profile);
+      collected.keystore.should.equal(abandoned.keystore);
+      collected.edvs.should.eql(abandoned.edvs);
+      collected.meters.should.eql(abandoned.meters);
+      const records = await provisioningCollection.find({}).toArray();
+      records.should.have.length(0);
+
+      // meters of the abandoned process must have been deleted
+      for(const id of abandoned.meters) {
+        error = undefined;
+        try {
+          await helpers.getMeter({id});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.data.type.should.equal('NotFoundError');
+      }
+      // meter of the completed process must not have been deleted
+      const meter = await helpers.getMeter({id: edvOptions.profile.meterId});
+      should.exist(meter);
+    });
+    it('should not delete meters used by other processes', async () => {
+      // simulate abandoned process that shares its meter with a process that
+      // is still in progress
+      const {id: meterId} = await helpers.createMeter({type: 'edv'});
+      const created = Date.now() -
+        bedrock.config.profile.provisioning.gracePeriod - 1000;
+      const abandoned = {id: `urn:uuid:${uuid()}`, meters: [meterId]};
+      const inProgress = {id: `urn:uuid:${uuid()}`, meters: [meterId]};
+      const now = Date.now();
+      await provisioningCollection.insertMany([{
+        meta: {created, updated: created},
+        provisioning: abandoned
+      }, {
+        meta: {created: now, updated: now},
+        provisioning: inProgress
+      }]);
+
+      let error;
+      let result;
+      try {
+        result = await profiles.collectGarbage();
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.failed.should.eql([]);
+      result.collected.should.have.length(1);
+      const [collected] = result.collected;
+      collected.meters.should.eql([]);
+      const records = await provisioningCollection.find({}).toArray();
+      records.map(({provisioning: {id}}) => id).should.eql([inProgress.id]);
+
+      // shared meter must not have been deleted
+      const meter = await helpers.getMeter({id: meterId});
+      should.exist(meter);
+      await provisioningCollection.deleteMany({});
+    });
+    it('should throw error if "limit" is not a positive integer', async () => {
+      for(const limit of [0, -1, 1.5]) {
+        let error;
+        try {
+          await profiles.collectGarbage({limit});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.should.be.instanceOf(TypeError);
+        error.message.should.equal('"limit" must be a positive integer.');
+      }
+    });
+  });
 }); // end profiles API
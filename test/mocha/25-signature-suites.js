@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import * as meterClient from '@bedrock/profile/lib/meterClient.js';
+import * as zcaps from '@bedrock/profile/lib/zcaps.js';
+import {CapabilityAgent, KmsClient} from '@digitalbazaar/webkms-client';
+import {
+  EcdsaRdfc2019, EddsaRdfc2022, getSuiteClass
+} from '@bedrock/profile/lib/signatureSuites.js';
+import {profileAgents, profiles} from '@bedrock/profile';
+import {randomBytes, randomUUID as uuid} from 'node:crypto';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {getAppIdentity} from '@bedrock/app-identity';
+import {httpsAgent} from '@bedrock/https-agent';
+import {mockData} from './mock.data.js';
+
+const SUITES = [{
+  keyType: 'Ed25519VerificationKey2020',
+  SuiteClass: Ed25519Signature2020,
+  proof: {type: 'Ed25519Signature2020'}
+}, {
+  keyType: 'Ed25519',
+  SuiteClass: EddsaRdfc2022,
+  proof: {type: 'DataIntegrityProof', cryptosuite: 'eddsa-rdfc-2022'}
+}, {
+  keyType: 'P-256',
+  SuiteClass: EcdsaRdfc2019,
+  proof: {type: 'DataIntegrityProof', cryptosuite: 'ecdsa-rdfc-2019'}
+}];
+
+describe('signature suites', () => {
+  let edvOptions;
+  let keystoreOptions;
+  // mock session authentication for delegations endpoint
+  let passportStub;
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+    passportStub = helpers.stubPassport();
+  });
+  beforeEach(async () => {
+    // top-level applications must create meters
+    const {keys} = getAppIdentity();
+    const invocationSigner = keys.capabilityInvocationKey.signer();
+
+    const {id: edvMeterId} = await helpers.createMeter({type: 'edv'});
+    const {id: kmsMeterId} = await helpers.createMeter({type: 'webkms'});
+    edvOptions = {
+      profile: {
+        baseUrl: bedrock.config.server.baseUri,
+        meterId: edvMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      }
+    };
+    keystoreOptions = {
+      profileAgent: {
+        meterId: kmsMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      },
+      profile: {
+        meterId: kmsMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      }
+    };
+  });
+  after(() => {
+    passportStub.restore();
+  });
+
+  async function _createProfile({keyType}) {
+    const profile = await profiles.create({
+      accountId: uuid(), didMethod: 'key', edvOptions, keystoreOptions,
+      keyType
+    });
+    const [profileAgentRecord] = await profileAgents.getRootAgents(
+      {profileId: profile.id, includeSecrets: true});
+    const profileSigner = await profileAgents.getProfileSigner(
+      {profileAgentRecord});
+    return {profile, profileSigner};
+  }
+
+  describe('getSuiteClass()', () => {
+    it('selects "Ed25519Signature2020" for signers w/o a type', async () => {
+      const {keys} = getAppIdentity();
+      const signer = keys.capabilityInvocationKey.signer();
+      getSuiteClass({signer}).should.equal(Ed25519Signature2020);
+    });
+    it('throws for an unsupported signer key type', async () => {
+      let error;
+      try {
+        getSuiteClass({signer: {type: 'Multikey', algorithm: 'secp256k1'}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.message.should.equal(
+        'Unsupported signer key type "Multikey" with algorithm "secp256k1".');
+    });
+  });
+
+  for(const {keyType, SuiteClass, proof} of SUITES) {
+    describe(`"${keyType}" profile key`, () => {
+      it('delegates a zcap that is verified when invoked', async () => {
+        const {profile, profileSigner} = await _createProfile({keyType});
+        getSuiteClass({signer: profileSigner}).should.equal(SuiteClass);
+
+        // delegate a zcap to read the profile's keystore config
+        const keystoreId = profileSigner.kmsId.slice(
+          0, profileSigner.kmsId.lastIndexOf('/keys/'));
+        const capabilityAgent = await CapabilityAgent.fromSecret(
+          {handle: 'primary', secret: randomBytes(32)});
+        const capability = await zcaps.delegate({
+          capability: `urn:zcap:root:${encodeURIComponent(keystoreId)}`,
+          controller: capabilityAgent.id,
+          expires: new Date(Date.now() + 5 * 60 * 1000),
+          allowedActions: ['read'],
+          signer: profileSigner
+        });
+        capability.proof.should.include(proof);
+        capability.proof.verificationMethod.should.equal(profileSigner.id);
+
+        // the KMS verifies the delegation proof when the zcap is invoked
+        let error;
+        let config;
+        try {
+          config = await new KmsClient({httpsAgent}).getKeystore(
+            {capability, invocationSigner: capabilityAgent.getSigner()});
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        config.id.should.equal(keystoreId);
+        config.controller.should.equal(profile.id);
+      });
+      it('invokes a meter zcap via the meter client', async () => {
+        const {profile, profileSigner} = await _createProfile({keyType});
+
+        // make the profile the controller of a new meter
+        const {keys} = getAppIdentity();
+        const {id: url} = await helpers.createMeter({type: 'webkms'});
+        await meterClient.updateController({
+          url, controller: profile.id,
+          invocationSigner: keys.capabilityInvocationKey.signer()
+        });
+
+        let error;
+        let result;
+        try {
+          result = await meterClient.get(
+            {url, invocationSigner: profileSigner});
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        result.meter.controller.should.equal(profile.id);
+      });
+    });
+  }
+});
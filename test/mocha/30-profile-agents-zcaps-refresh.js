@@ -20,7 +20,10 @@ const {
   parseEdvId
 } = helpers;
 
-// import is for testing purposes only; not a public export
+// imports are for testing purposes only; not public exports
+import {
+  _runPass, _validateConfig
+} from '@bedrock/profile/lib/zcapRefreshWorker.js';
 import {_loadKeks} from '@bedrock/profile/lib/secretsEncryption.js';
 
 /* eslint-disable */
@@ -1296,6 +1299,169 @@ describe('Refresh Profile Agent Zcaps', () => {
             readDoc.content.should.deep.equal(newDoc.content);
           }
         });
+        it('should refresh expiring zcaps w/o retrieval', async () => {
+          const accountId = randomUUID();
+          const profile = await createProfile({
+            accountId, didMethod: 'key', edvOptions, keystoreOptions
+          });
+          should.exist(profile);
+          const [a] = await getAllProfileAgents({accountId});
+          const {id, sequence} = a.profileAgent;
+
+          // expire profile agent zcaps in 15 days, which is less than the
+          // refresh threshold
+          const expiresIn15Days = new Date(
+            Date.now() + 15 * 24 * 60 * 60 * 1000).toISOString();
+          const updateProfileAgent = structuredClone(a.profileAgent);
+          await updateZcapsExpiration({
+            profileAgent: updateProfileAgent,
+            newExpires: expiresIn15Days
+          });
+
+          // run a full worker pass
+          let error;
+          let report;
+          try {
+            report = await _runPass();
+          } catch(e) {
+            error = e;
+          }
+          assertNoError(error);
+          report.refreshed.should.be.at.least(1);
+          report.failed.map(({id}) => id).should.not.include(id);
+
+          // zcaps must have been refreshed w/o retrieving the profile agent
+          const refreshedRecord = await profileAgents.get(
+            {id, _reconcile: false});
+          refreshedRecord.profileAgent.sequence.should.equal(sequence + 2);
+          verifyZcapsExpiration({
+            zcaps: refreshedRecord.profileAgent.zcaps,
+            expectedExpiresYear: new Date().getFullYear() + 1
+          });
+
+          // nothing to refresh for the profile agent anymore
+          const result = await profileAgents.refreshExpiringZcaps(
+            {limit: 1000});
+          result.failed.map(({id}) => id).should.not.include(id);
+          const record = await profileAgents.get({id, _reconcile: false});
+          record.profileAgent.sequence.should.equal(sequence + 2);
+        });
+        it('should fail to refresh expiring zcaps w/ invalid options',
+          async () => {
+            for(const options of [
+              {limit: 0}, {limit: -1}, {limit: 1.5},
+              {concurrency: 0}, {concurrency: 1.5}
+            ]) {
+              let error;
+              try {
+                await profileAgents.refreshExpiringZcaps(options);
+              } catch(e) {
+                error = e;
+              }
+              should.exist(error);
+              error.should.be.instanceOf(TypeError);
+            }
+          });
+        it('should reject an invalid refresh worker config', async () => {
+          const valid = {interval: null, batchSize: 100, concurrency: 5};
+          _validateConfig({refreshWorker: valid});
+          _validateConfig({refreshWorker: {...valid, interval: 1000}});
+          for(const invalid of [
+            {interval: 0}, {interval: 1.5}, {batchSize: 0}, {batchSize: null},
+            {concurrency: -1}, {concurrency: '5'}
+          ]) {
+            let error;
+            try {
+              _validateConfig({refreshWorker: {...valid, ...invalid}});
+            } catch(e) {
+              error = e;
+            }
+            should.exist(error);
+            const [name] = Object.keys(invalid);
+            error.message.should.contain(`"zcap.refreshWorker.${name}"`);
+          }
+        });
+        it('should get a record w/ "bestEffort" refresh on failure',
+          async () => {
+            const accountId = randomUUID();
+            const profile = await createProfile({
+              accountId, didMethod: 'key', edvOptions, keystoreOptions
+            });
+            should.exist(profile);
+            const [a] = await getAllProfileAgents({accountId});
+            const {id} = a.profileAgent;
+
+            // expire zcaps in 15 days, which is less than the refresh
+            // threshold, and break the profile capability invocation key
+            // zcap so that refreshing will fail
+            const expiresIn15Days = new Date(
+              Date.now() + 15 * 24 * 60 * 60 * 1000).toISOString();
+            const profileAgent = structuredClone(a.profileAgent);
+            for(const zcapName of ['userDocument', 'user-edv-kak']) {
+              profileAgent.zcaps[zcapName].expires = expiresIn15Days;
+            }
+            profileAgent.zcaps.profileCapabilityInvocationKey
+              .invocationTarget += '-invalid';
+            profileAgent.sequence++;
+            await profileAgents.update({profileAgent});
+
+            // `required` refresh must fail
+            let error;
+            try {
+              await profileAgents.get({id});
+            } catch(e) {
+              error = e;
+            }
+            should.exist(error);
+
+            // `bestEffort` refresh must return the record w/ the error
+            error = undefined;
+            let record;
+            try {
+              record = await profileAgents.get({id, refresh: 'bestEffort'});
+            } catch(e) {
+              error = e;
+            }
+            assertNoError(error);
+            should.exist(record.refreshError);
+            record.profileAgent.sequence.should.equal(profileAgent.sequence);
+            record.profileAgent.zcaps.userDocument.expires.should.equal(
+              expiresIn15Days);
+            const {records} = await profileAgents.findByAccount(
+              {accountId, refresh: 'bestEffort'});
+            records.should.have.length(1);
+            should.exist(records[0].refreshError);
+
+            // `skip` refresh must return the record w/o the error
+            record = await profileAgents.get({id, refresh: 'skip'});
+            should.not.exist(record.refreshError);
+
+            // `bestEffort` refresh must fail once zcaps have expired
+            const expired = new Date(Date.now() - 1000).toISOString();
+            profileAgent.zcaps.userDocument.expires = expired;
+            profileAgent.zcaps['user-edv-kak'].expires = expired;
+            profileAgent.sequence++;
+            await profileAgents.update({profileAgent});
+            error = undefined;
+            try {
+              await profileAgents.get({id, refresh: 'bestEffort'});
+            } catch(e) {
+              error = e;
+            }
+            should.exist(error);
+          });
+        it('should fail to get a record w/ an invalid refresh mode',
+          async () => {
+            let error;
+            try {
+              await profileAgents.get(
+                {id: `did:key:${randomUUID()}`, refresh: 'sometimes'});
+            } catch(e) {
+              error = e;
+            }
+            should.exist(error);
+            error.should.be.instanceOf(TypeError);
+          });
       });
     });
   }
@@ -4,6 +4,7 @@
 import * as bedrock from '@bedrock/core';
 import * as helpers from './helpers.js';
 import {profileAgents, profiles} from '@bedrock/profile';
+import {EdvClient} from '@digitalbazaar/edv-client';
 import {getAppIdentity} from '@bedrock/app-identity';
 import {mockData} from './mock.data.js';
 import {randomUUID} from 'node:crypto';
@@ -159,6 +160,236 @@ describe('Get Root Profile Agents', () => {
       }
     });
   });
+  describe('profileAgents.promoteToRoot() and demoteFromRoot() APIs', () => {
+    async function _provision() {
+      const profile = await createProfile({
+        accountId: randomUUID(), didMethod: 'key', edvOptions, keystoreOptions
+      });
+      const [rootAgentRecord] = await profileAgents.getRootAgents(
+        {profileId: profile.id, includeSecrets: true});
+      const {profileAgent} = await profileAgents.provisionForProfile({
+        profileId: profile.id,
+        rootAgentRecord,
+        keystoreOptions: keystoreOptions.profileAgent,
+        edvReferenceIds: [],
+        accountId: randomUUID()
+      });
+      return {profile, rootAgentRecord, id: profileAgent.id};
+    }
+
+    it('successfully promotes and demotes a profile agent', async () => {
+      const {profile, rootAgentRecord, id} = await _provision();
+
+      let error;
+      let record;
+      try {
+        record = await profileAgents.promoteToRoot(
+          {profileId: profile.id, id, rootAgentRecord});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(record.profileAgent.zcaps.profileCapabilityInvocationKey);
+      let rootAgents = await profileAgents.getRootAgents(
+        {profileId: profile.id, options: {limit: 10}});
+      rootAgents.map(({profileAgent}) => profileAgent.id).should.have.members(
+        [rootAgentRecord.profileAgent.id, id]);
+
+      // promoted profile agent can act as the profile
+      const {edvs} = await profiles.getEdvs(
+        {profileId: profile.id, profileAgentRecord: record});
+      edvs.map(({referenceId}) => referenceId).should.eql(['user']);
+      should.exist(edvs[0].config);
+      const edvDoc = await helpers.getUserEdvDocument(
+        {profileAgentRecord: record});
+      const doc = await edvDoc.read();
+      doc.content.zcaps.should.include.keys([
+        'profileCapabilityInvocationKey', 'user-edv-documents',
+        'user-edv-hmac', 'user-edv-kak'
+      ]);
+
+      // demote original root profile agent using the promoted one
+      error = undefined;
+      let demoted;
+      try {
+        demoted = await profileAgents.demoteFromRoot({
+          profileId: profile.id, id: rootAgentRecord.profileAgent.id,
+          rootAgentRecord: record
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.not.exist(
+        demoted.profileAgent.zcaps.profileCapabilityInvocationKey);
+      rootAgents = await profileAgents.getRootAgents(
+        {profileId: profile.id, options: {limit: 10}});
+      rootAgents.map(({profileAgent}) => profileAgent.id).should.eql([id]);
+
+      // demoted profile agent can still read its user EDV doc but no longer
+      // has root zcaps
+      const demotedDoc = await (await helpers.getUserEdvDocument(
+        {profileAgentRecord: demoted})).read();
+      Object.keys(demotedDoc.content.zcaps).should.have.members(
+        ['userDocument', 'user-edv-kak', 'profile-edv-document']);
+
+      // demoted profile agent can no longer act as the profile
+      error = undefined;
+      try {
+        const profileSigner = await profileAgents.getProfileSigner(
+          {profileAgentRecord: rootAgentRecord});
+        await profileSigner.sign({data: new Uint8Array(32)});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+    });
+    it('safely reruns a promotion that failed', async () => {
+      const {profile, rootAgentRecord, id} = await _provision();
+      let record = await profileAgents.promoteToRoot(
+        {profileId: profile.id, id, rootAgentRecord});
+      const {content: {zcaps: docZcaps}} = await (
+        await helpers.getUserEdvDocument({profileAgentRecord: record})).read();
+
+      // simulate a promotion that failed after updating the user EDV doc
+      const {profileAgent} = await profileAgents.get({id});
+      const {
+        profileCapabilityInvocationKey, ...zcaps
+      } = profileAgent.zcaps;
+      should.exist(profileCapabilityInvocationKey);
+      await profileAgents.update({
+        profileAgent: {
+          ...profileAgent, sequence: profileAgent.sequence + 1, zcaps
+        }
+      });
+
+      let error;
+      try {
+        record = await profileAgents.promoteToRoot(
+          {profileId: profile.id, id, rootAgentRecord});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+
+      // zcaps added by the failed promotion are reused, not overwritten
+      const {content: {zcaps: newDocZcaps}} = await (
+        await helpers.getUserEdvDocument({profileAgentRecord: record})).read();
+      newDocZcaps.should.eql(docZcaps);
+      record.profileAgent.zcaps.profileCapabilityInvocationKey.id.should
+        .equal(docZcaps.profileCapabilityInvocationKey.id);
+    });
+    it('safely reruns a demotion that failed', async () => {
+      const {profile, rootAgentRecord, id} = await _provision();
+      const record = await profileAgents.promoteToRoot(
+        {profileId: profile.id, id, rootAgentRecord});
+      const {content: {zcaps: rootDocZcaps}} = await (
+        await helpers.getUserEdvDocument(
+          {profileAgentRecord: rootAgentRecord})).read();
+
+      // force revocation of the root zcaps to fail
+      const {revokeCapability} = EdvClient.prototype;
+      EdvClient.prototype.revokeCapability = async () => {
+        throw new Error('Revocation failed.');
+      };
+      let error;
+      try {
+        await profileAgents.demoteFromRoot({
+          profileId: profile.id, id: rootAgentRecord.profileAgent.id,
+          rootAgentRecord: record
+        });
+      } catch(e) {
+        error = e;
+      } finally {
+        EdvClient.prototype.revokeCapability = revokeCapability;
+      }
+      should.exist(error);
+      error.message.should.equal('Revocation failed.');
+
+      // root zcaps that were not revoked are still in the user EDV doc
+      const {content: {zcaps: failedDocZcaps}} = await (
+        await helpers.getUserEdvDocument(
+          {profileAgentRecord: rootAgentRecord})).read();
+      failedDocZcaps.should.eql(rootDocZcaps);
+
+      error = undefined;
+      let demoted;
+      try {
+        demoted = await profileAgents.demoteFromRoot({
+          profileId: profile.id, id: rootAgentRecord.profileAgent.id,
+          rootAgentRecord: record
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.not.exist(
+        demoted.profileAgent.zcaps.profileCapabilityInvocationKey);
+      const {content: {zcaps: demotedDocZcaps}} = await (
+        await helpers.getUserEdvDocument({profileAgentRecord: demoted})).read();
+      Object.keys(demotedDocZcaps).should.have.members(
+        ['userDocument', 'user-edv-kak', 'profile-edv-document']);
+
+      // root zcap removed from the user EDV doc has been revoked
+      error = undefined;
+      try {
+        const edvDoc = await helpers.getUserEdvDocument({
+          profileAgentRecord: demoted,
+          zcaps: {
+            ...demoted.profileAgent.zcaps,
+            'user-edv-documents': rootDocZcaps['user-edv-documents']
+          }
+        });
+        await edvDoc.read();
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+    });
+    it('fails to promote a root profile agent', async () => {
+      const {profile, rootAgentRecord} = await _provision();
+
+      let error;
+      try {
+        await profileAgents.promoteToRoot({
+          profileId: profile.id, id: rootAgentRecord.profileAgent.id,
+          rootAgentRecord
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('DuplicateError');
+    });
+    it('fails to demote the only root profile agent', async () => {
+      const {profile, rootAgentRecord} = await _provision();
+
+      let error;
+      try {
+        await profileAgents.demoteFromRoot({
+          profileId: profile.id, id: rootAgentRecord.profileAgent.id,
+          rootAgentRecord
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.should.be.instanceOf(TypeError);
+    });
+    it('fails to demote a non-root profile agent', async () => {
+      const {profile, rootAgentRecord, id} = await _provision();
+
+      let error;
+      try {
+        await profileAgents.demoteFromRoot(
+          {profileId: profile.id, id, rootAgentRecord});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+  });
 });
 
 async function createProfile({
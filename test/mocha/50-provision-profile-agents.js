@@ -0,0 +1,152 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {profileAgents, profiles} from '@bedrock/profile';
+import {getAppIdentity} from '@bedrock/app-identity';
+import {mockData} from './mock.data.js';
+import {randomUUID as uuid} from 'node:crypto';
+
+describe('Provision Profile Agents', () => {
+  let edvOptions;
+  let keystoreOptions;
+  // mock session authentication for delegations endpoint
+  let passportStub;
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+    passportStub = helpers.stubPassport();
+  });
+  beforeEach(async () => {
+    // top-level applications must create meters
+    const {keys} = getAppIdentity();
+    const invocationSigner = keys.capabilityInvocationKey.signer();
+
+    const {id: edvMeterId} = await helpers.createMeter({type: 'edv'});
+    const {id: kmsMeterId} = await helpers.createMeter({type: 'webkms'});
+    edvOptions = {
+      profile: {
+        baseUrl: bedrock.config.server.baseUri,
+        meterId: edvMeterId,
+        meterCapabilityInvocationSigner: invocationSigner,
+        additionalEdvs: [{referenceId: 'credentials'}]
+      }
+    };
+    keystoreOptions = {
+      profileAgent: {
+        meterId: kmsMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      },
+      profile: {
+        meterId: kmsMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      }
+    };
+  });
+  after(() => {
+    passportStub.restore();
+  });
+
+  describe('profileAgents.provisionForProfile() API', () => {
+    it('successfully provisions a non-root profile agent', async () => {
+      const profile = await profiles.create({
+        accountId: uuid(), didMethod: 'key', edvOptions, keystoreOptions
+      });
+      const [rootAgentRecord] = await profileAgents.getRootAgents(
+        {profileId: profile.id, includeSecrets: true});
+
+      const accountId = uuid();
+      let error;
+      let record;
+      try {
+        record = await profileAgents.provisionForProfile({
+          profileId: profile.id,
+          rootAgentRecord,
+          keystoreOptions: keystoreOptions.profileAgent,
+          edvReferenceIds: ['credentials'],
+          allowedActions: ['read'],
+          accountId
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(record);
+      const {profileAgent} = record;
+      profileAgent.profile.should.equal(profile.id);
+      profileAgent.account.should.equal(accountId);
+      profileAgent.zcaps.should.have.keys(['userDocument', 'user-edv-kak']);
+
+      // new profile agent is not a root profile agent
+      const rootAgents = await profileAgents.getRootAgents(
+        {profileId: profile.id, options: {limit: 10}});
+      rootAgents.length.should.equal(1);
+
+      // new profile agent can read its user EDV doc
+      const profileAgentRecord = await profileAgents.get(
+        {id: profileAgent.id, includeSecrets: true});
+      const edvDoc = await helpers.getUserEdvDocument({profileAgentRecord});
+      const doc = await edvDoc.read();
+      doc.content.id.should.equal(profileAgent.id);
+      doc.content.zcaps.should.include.keys([
+        'userDocument', 'user-edv-kak', 'profile-edv-document',
+        'credentials-edv-documents', 'credentials-edv-hmac',
+        'credentials-edv-kak'
+      ]);
+      doc.content.zcaps.should.not.have.property('user-edv-documents');
+      doc.content.zcaps['credentials-edv-documents'].allowedAction
+        .should.eql(['read']);
+    });
+    it('fails to provision a profile agent for an unknown EDV', async () => {
+      const profile = await profiles.create({
+        accountId: uuid(), didMethod: 'key', edvOptions, keystoreOptions
+      });
+      const [rootAgentRecord] = await profileAgents.getRootAgents(
+        {profileId: profile.id, includeSecrets: true});
+
+      let error;
+      let record;
+      try {
+        record = await profileAgents.provisionForProfile({
+          profileId: profile.id,
+          rootAgentRecord,
+          keystoreOptions: keystoreOptions.profileAgent,
+          edvReferenceIds: ['unknown'],
+          accountId: uuid()
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      should.not.exist(record);
+      error.name.should.equal('NotFoundError');
+    });
+    it('fails to provision a profile agent w/ invalid actions', async () => {
+      const profile = await profiles.create({
+        accountId: uuid(), didMethod: 'key', edvOptions, keystoreOptions
+      });
+      const [rootAgentRecord] = await profileAgents.getRootAgents(
+        {profileId: profile.id, includeSecrets: true});
+
+      for(const allowedActions of [[], ['read', 'delete'], ['*']]) {
+        let error;
+        let record;
+        try {
+          record = await profileAgents.provisionForProfile({
+            profileId: profile.id,
+            rootAgentRecord,
+            keystoreOptions: keystoreOptions.profileAgent,
+            edvReferenceIds: ['user'],
+            allowedActions,
+            accountId: uuid()
+          });
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        should.not.exist(record);
+        error.should.be.instanceOf(TypeError);
+      }
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {profileAgents, profiles} from '@bedrock/profile';
+import {getAppIdentity} from '@bedrock/app-identity';
+import {mockData} from './mock.data.js';
+import {randomUUID as uuid} from 'node:crypto';
+
+describe('Revoke Profile Agent Zcaps', () => {
+  let edvOptions;
+  let keystoreOptions;
+  // mock session authentication for delegations endpoint
+  let passportStub;
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+    passportStub = helpers.stubPassport();
+  });
+  beforeEach(async () => {
+    // top-level applications must create meters
+    const {keys} = getAppIdentity();
+    const invocationSigner = keys.capabilityInvocationKey.signer();
+
+    const {id: edvMeterId} = await helpers.createMeter({type: 'edv'});
+    const {id: kmsMeterId} = await helpers.createMeter({type: 'webkms'});
+    edvOptions = {
+      profile: {
+        baseUrl: bedrock.config.server.baseUri,
+        meterId: edvMeterId,
+        meterCapabilityInvocationSigner: invocationSigner,
+        additionalEdvs: [{referenceId: 'credentials'}]
+      }
+    };
+    keystoreOptions = {
+      profileAgent: {
+        meterId: kmsMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      },
+      profile: {
+        meterId: kmsMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      }
+    };
+  });
+  after(() => {
+    passportStub.restore();
+  });
+
+  async function _provision() {
+    const profile = await profiles.create({
+      accountId: uuid(), didMethod: 'key', edvOptions, keystoreOptions
+    });
+    const [rootAgentRecord] = await profileAgents.getRootAgents(
+      {profileId: profile.id, includeSecrets: true});
+    const {profileAgent} = await profileAgents.provisionForProfile({
+      profileId: profile.id,
+      rootAgentRecord,
+      keystoreOptions: keystoreOptions.profileAgent,
+      edvReferenceIds: ['credentials'],
+      accountId: uuid()
+    });
+    const profileAgentRecord = await profileAgents.get(
+      {id: profileAgent.id, includeSecrets: true});
+    return {profile, rootAgentRecord, profileAgentRecord};
+  }
+
+  describe('profileAgents.revokeCapability() API', () => {
+    it('revokes a zcap delegated to a profile agent', async () => {
+      const {rootAgentRecord, profileAgentRecord} = await _provision();
+      const {userDocument: capability} = profileAgentRecord.profileAgent.zcaps;
+
+      let error;
+      try {
+        await profileAgents.revokeCapability(
+          {profileAgentRecord: rootAgentRecord, capability});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+
+      // profile agent can no longer read its user EDV doc
+      error = undefined;
+      try {
+        const edvDoc = await helpers.getUserEdvDocument({profileAgentRecord});
+        await edvDoc.read();
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+
+      // revoking again is not an error
+      await profileAgents.revokeCapability(
+        {profileAgentRecord: rootAgentRecord, capability});
+    });
+    it('fails to revoke a zcap w/o a root profile agent', async () => {
+      const {profileAgentRecord} = await _provision();
+      const {userDocument: capability} = profileAgentRecord.profileAgent.zcaps;
+
+      let error;
+      try {
+        await profileAgents.revokeCapability({profileAgentRecord, capability});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.should.be.instanceOf(TypeError);
+    });
+  });
+
+  describe('profileAgents.remove() API w/ revocation', () => {
+    it('revokes zcaps when removing a profile agent', async () => {
+      const {profileAgentRecord} = await _provision();
+      const {id} = profileAgentRecord.profileAgent;
+
+      let error;
+      try {
+        await profileAgents.remove({id, revokeCapabilities: true});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+
+      error = undefined;
+      try {
+        await profileAgents.get({id});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+
+      // removed profile agent can no longer read its user EDV doc
+      error = undefined;
+      try {
+        const edvDoc = await helpers.getUserEdvDocument({profileAgentRecord});
+        await edvDoc.read();
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+    });
+    it('revokes zcaps when removing a root profile agent', async () => {
+      const {profile, rootAgentRecord} = await _provision();
+      const {id} = rootAgentRecord.profileAgent;
+
+      let error;
+      try {
+        await profileAgents.remove({id, revokeCapabilities: true});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+
+      // removed root profile agent can no longer act as the profile
+      error = undefined;
+      try {
+        const profileSigner = await profileAgents.getProfileSigner(
+          {profileAgentRecord: rootAgentRecord});
+        await profileSigner.sign({data: new Uint8Array(32)});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      const rootAgents = await profileAgents.getRootAgents(
+        {profileId: profile.id});
+      rootAgents.length.should.equal(0);
+    });
+    it('does not remove a profile agent if revocation fails', async () => {
+      const {rootAgentRecord, profileAgentRecord} = await _provision();
+      const {id} = profileAgentRecord.profileAgent;
+      // remove root profile agent so revocation cannot be performed
+      await profileAgents.remove({id: rootAgentRecord.profileAgent.id});
+
+      let error;
+      try {
+        await profileAgents.remove({id, revokeCapabilities: true});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+      await profileAgents.get({id, refresh: 'skip'});
+    });
+  });
+});
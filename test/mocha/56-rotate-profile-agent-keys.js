@@ -0,0 +1,282 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {profileAgents, profiles} from '@bedrock/profile';
+import {randomBytes, randomUUID as uuid} from 'node:crypto';
+import {getAppIdentity} from '@bedrock/app-identity';
+import {mockData} from './mock.data.js';
+
+describe('Rotate Profile Agent Keys', () => {
+  let edvOptions;
+  let keystoreOptions;
+  // mock session authentication for delegations endpoint
+  let passportStub;
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+    passportStub = helpers.stubPassport();
+  });
+  beforeEach(async () => {
+    // top-level applications must create meters
+    const {keys} = getAppIdentity();
+    const invocationSigner = keys.capabilityInvocationKey.signer();
+
+    const {id: edvMeterId} = await helpers.createMeter({type: 'edv'});
+    const {id: kmsMeterId} = await helpers.createMeter({type: 'webkms'});
+    edvOptions = {
+      profile: {
+        baseUrl: bedrock.config.server.baseUri,
+        meterId: edvMeterId,
+        meterCapabilityInvocationSigner: invocationSigner,
+        additionalEdvs: [{referenceId: 'credentials'}]
+      }
+    };
+    keystoreOptions = {
+      profileAgent: {
+        meterId: kmsMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      },
+      profile: {
+        meterId: kmsMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      }
+    };
+  });
+  after(() => {
+    passportStub.restore();
+  });
+
+  async function _provision() {
+    const profile = await profiles.create({
+      accountId: uuid(), didMethod: 'key', edvOptions, keystoreOptions
+    });
+    const [rootAgentRecord] = await profileAgents.getRootAgents(
+      {profileId: profile.id, includeSecrets: true});
+    const {profileAgent} = await profileAgents.provisionForProfile({
+      profileId: profile.id,
+      rootAgentRecord,
+      keystoreOptions: keystoreOptions.profileAgent,
+      edvReferenceIds: ['credentials'],
+      accountId: uuid()
+    });
+    const profileAgentRecord = await profileAgents.get(
+      {id: profileAgent.id, includeSecrets: true});
+    return {profile, rootAgentRecord, profileAgentRecord};
+  }
+
+  function _getController({profileAgent}) {
+    const {capabilityInvocationKey: {id}} = profileAgent;
+    return id.slice(0, id.indexOf('#'));
+  }
+
+  describe('profileAgents.rotateKey() API', () => {
+    it('rotates the key of a non-root profile agent', async () => {
+      const {profileAgentRecord} = await _provision();
+      const {profileAgent} = profileAgentRecord;
+
+      let error;
+      let record;
+      try {
+        record = await profileAgents.rotateKey({id: profileAgent.id});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      record.profileAgent.id.should.equal(profileAgent.id);
+      record.profileAgent.sequence.should.equal(profileAgent.sequence + 1);
+      record.profileAgent.capabilityInvocationKey.id.should.not.equal(
+        profileAgent.capabilityInvocationKey.id);
+      record.secrets.should.eql(profileAgentRecord.secrets);
+      const controller = _getController(record);
+      controller.should.not.equal(profileAgent.id);
+      record.profileAgent.zcaps.should.have.keys(
+        Object.keys(profileAgent.zcaps));
+      for(const zcap of Object.values(record.profileAgent.zcaps)) {
+        zcap.controller.should.equal(controller);
+      }
+
+      // profile agent can use its new key to read its user EDV doc
+      const edvDoc = await helpers.getUserEdvDocument(
+        {profileAgentRecord: record});
+      const doc = await edvDoc.read();
+      doc.content.id.should.equal(profileAgent.id);
+      for(const zcap of Object.values(doc.content.zcaps)) {
+        zcap.controller.should.equal(controller);
+      }
+
+      // old zcaps have been revoked
+      error = undefined;
+      try {
+        const oldEdvDoc = await helpers.getUserEdvDocument(
+          {profileAgentRecord});
+        await oldEdvDoc.read();
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+    });
+    it('rotates the key of a root profile agent', async () => {
+      const {profile, rootAgentRecord} = await _provision();
+      const {profileAgent} = rootAgentRecord;
+
+      let error;
+      let record;
+      try {
+        record = await profileAgents.rotateKey({id: profileAgent.id});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      const controller = _getController(record);
+      record.profileAgent.zcaps.profileCapabilityInvocationKey.controller
+        .should.equal(controller);
+
+      // root profile agent can still act as the profile
+      const {edvs} = await profiles.getEdvs(
+        {profileId: profile.id, profileAgentRecord: record});
+      edvs.map(({referenceId}) => referenceId).should.eql(
+        ['credentials', 'user']);
+      for(const {config} of edvs) {
+        config.controller.should.equal(profile.id);
+      }
+
+      // old profile capability invocation key zcap has been revoked
+      error = undefined;
+      try {
+        const profileSigner = await profileAgents.getProfileSigner(
+          {profileAgentRecord: rootAgentRecord});
+        await profileSigner.sign({data: new Uint8Array(32)});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+
+      // rotated root profile agent can provision other profile agents
+      await profileAgents.provisionForProfile({
+        profileId: profile.id,
+        rootAgentRecord: record,
+        keystoreOptions: keystoreOptions.profileAgent,
+        edvReferenceIds: ['credentials'],
+        accountId: uuid()
+      });
+    });
+    it('rotates the key of a profile agent concurrently', async () => {
+      const {profileAgentRecord} = await _provision();
+      const {profileAgent} = profileAgentRecord;
+
+      // each rotation either wins or retries w/ its own new key
+      let error;
+      let records;
+      try {
+        records = await Promise.all([
+          profileAgents.rotateKey({id: profileAgent.id}),
+          profileAgents.rotateKey({id: profileAgent.id})
+        ]);
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      records[0].profileAgent.capabilityInvocationKey.id.should.not.equal(
+        records[1].profileAgent.capabilityInvocationKey.id);
+      const record = await profileAgents.get(
+        {id: profileAgent.id, includeSecrets: true});
+      record.profileAgent.sequence.should.equal(profileAgent.sequence + 2);
+      const controller = _getController(record);
+      for(const zcap of Object.values(record.profileAgent.zcaps)) {
+        zcap.controller.should.equal(controller);
+      }
+
+      // profile agent can use its latest key to read its user EDV doc
+      const edvDoc = await helpers.getUserEdvDocument(
+        {profileAgentRecord: record});
+      const doc = await edvDoc.read();
+      doc.content.id.should.equal(profileAgent.id);
+      for(const zcap of Object.values(doc.content.zcaps)) {
+        zcap.controller.should.equal(controller);
+      }
+    });
+    it('fails to rotate the key of an unknown profile agent', async () => {
+      let error;
+      try {
+        await profileAgents.rotateKey({id: `did:key:${uuid()}`});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+  });
+  describe('profileAgents.rotateSeed() API', () => {
+    async function _createProfileAgent() {
+      const {profileAgent} = await profileAgents.create({
+        keystoreOptions: keystoreOptions.profileAgent,
+        accountId: uuid(),
+        profileId: `did:example:${uuid()}`,
+        store: true
+      });
+      return profileAgents.get({id: profileAgent.id, includeSecrets: true});
+    }
+
+    it('rotates the seed of a profile agent', async () => {
+      const profileAgentRecord = await _createProfileAgent();
+      const {profileAgent, secrets} = profileAgentRecord;
+
+      let error;
+      let record;
+      try {
+        record = await profileAgents.rotateSeed({id: profileAgent.id});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      record.profileAgent.id.should.equal(profileAgent.id);
+      record.profileAgent.controller.should.not.equal(profileAgent.controller);
+      record.profileAgent.capabilityInvocationKey.should.eql(
+        profileAgent.capabilityInvocationKey);
+      should.exist(record.secrets.seed);
+      should.not.exist(record.secrets.pendingSeed);
+      Buffer.from(record.secrets.seed).equals(Buffer.from(secrets.seed))
+        .should.equal(false);
+
+      // new seed controls the keystore
+      const signer = await profileAgents.getSigner(
+        {profileAgentRecord: record});
+      await signer.sign({data: new Uint8Array(32)});
+
+      // old seed no longer controls the keystore
+      error = undefined;
+      try {
+        const oldSigner = await profileAgents.getSigner({profileAgentRecord});
+        await oldSigner.sign({data: new Uint8Array(32)});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+    });
+    it('completes an interrupted seed rotation', async () => {
+      const {profileAgent, secrets} = await _createProfileAgent();
+      // simulate a rotation that was interrupted after the pending seed was
+      // stored
+      const pendingSeed = randomBytes(32);
+      await profileAgents.update({
+        profileAgent: {...profileAgent, sequence: profileAgent.sequence + 1},
+        secrets: {...secrets, pendingSeed}
+      });
+
+      let error;
+      let record;
+      try {
+        record = await profileAgents.rotateSeed({id: profileAgent.id});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      Buffer.from(record.secrets.seed).equals(pendingSeed).should.equal(true);
+      should.not.exist(record.secrets.pendingSeed);
+      const signer = await profileAgents.getSigner(
+        {profileAgentRecord: record});
+      await signer.sign({data: new Uint8Array(32)});
+    });
+  });
+});
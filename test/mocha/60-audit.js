@@ -0,0 +1,207 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as helpers from './helpers.js';
+import {audit, profileAgents, profiles} from '@bedrock/profile';
+import {getAppIdentity} from '@bedrock/app-identity';
+import {mockData} from './mock.data.js';
+import {randomUUID as uuid} from 'node:crypto';
+
+describe('Audit', () => {
+  let edvOptions;
+  let keystoreOptions;
+  const emitted = [];
+  // mock session authentication for delegations endpoint
+  let passportStub;
+  before(async () => {
+    await helpers.prepareDatabase(mockData);
+    passportStub = helpers.stubPassport();
+    bedrock.events.on('bedrock-profile.profileAgent.removed', ({event}) => {
+      emitted.push(event);
+    });
+  });
+  beforeEach(async () => {
+    // top-level applications must create meters
+    const {keys} = getAppIdentity();
+    const invocationSigner = keys.capabilityInvocationKey.signer();
+
+    const {id: edvMeterId} = await helpers.createMeter({type: 'edv'});
+    const {id: kmsMeterId} = await helpers.createMeter({type: 'webkms'});
+    edvOptions = {
+      profile: {
+        baseUrl: bedrock.config.server.baseUri,
+        meterId: edvMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      }
+    };
+    keystoreOptions = {
+      profileAgent: {
+        meterId: kmsMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      },
+      profile: {
+        meterId: kmsMeterId,
+        meterCapabilityInvocationSigner: invocationSigner
+      }
+    };
+  });
+  after(() => {
+    passportStub.restore();
+  });
+
+  describe('audit.find() API', () => {
+    it('finds profile lifecycle events by profile', async () => {
+      const accountId = uuid();
+      const actor = `urn:uuid:${uuid()}`;
+      const start = Date.now();
+      const profile = await profiles.create({
+        accountId, didMethod: 'key', edvOptions, keystoreOptions, actor
+      });
+      await profiles.remove({profileId: profile.id, actor});
+
+      let error;
+      let result;
+      try {
+        result = await audit.find({profileId: profile.id, start});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result);
+      should.not.exist(result.nextCursor);
+      const types = result.events.map(({type}) => type);
+      types.should.include.members([
+        'profileAgent.created',
+        'profile.created',
+        'profileAgent.removedByProfile',
+        'profile.removed'
+      ]);
+      for(const event of result.events) {
+        event.profile.should.equal(profile.id);
+        event.actor.should.equal(actor);
+        event.date.should.be.at.least(start);
+      }
+      const created = result.events.find(
+        ({type}) => type === 'profile.created');
+      created.account.should.equal(accountId);
+    });
+    it('finds profile agent events by account w/ pagination', async () => {
+      const {keys} = getAppIdentity();
+      const invocationSigner = keys.capabilityInvocationKey.signer();
+      const {id: meterId} = await helpers.createMeter({type: 'webkms'});
+      const accountId = uuid();
+      const profileId = `did:example:${uuid()}`;
+      const ids = [];
+      for(let i = 0; i < 3; ++i) {
+        const {profileAgent} = await profileAgents.create({
+          keystoreOptions: {
+            meterId,
+            meterCapabilityInvocationSigner: invocationSigner
+          },
+          accountId, profileId, store: true
+        });
+        ids.push(profileAgent.id);
+      }
+      await profileAgents.remove({id: ids[0]});
+
+      // removal event must have been emitted
+      const removed = emitted.find(({profileAgent}) => profileAgent === ids[0]);
+      should.exist(removed);
+      removed.type.should.equal('profileAgent.removed');
+      removed.account.should.equal(accountId);
+
+      const events = [];
+      let after;
+      do {
+        const result = await audit.find({accountId, limit: 2, after});
+        result.events.length.should.be.at.most(2);
+        events.push(...result.events);
+        after = result.nextCursor ?? undefined;
+      } while(after);
+      events.should.have.length(4);
+      // events are in time order
+      for(let i = 1; i < events.length; ++i) {
+        events[i].date.should.be.at.least(events[i - 1].date);
+      }
+      events.filter(({type}) => type === 'profileAgent.created')
+        .map(({profileAgent}) => profileAgent)
+        .should.have.members(ids);
+      events.filter(({type}) => type === 'profileAgent.removed')
+        .map(({profileAgent}) => profileAgent)
+        .should.eql([ids[0]]);
+    });
+    it('finds no events outside of a time range', async () => {
+      const accountId = uuid();
+      const profile = await profiles.create({
+        accountId, didMethod: 'key', edvOptions, keystoreOptions
+      });
+
+      let error;
+      let result;
+      try {
+        result = await audit.find(
+          {profileId: profile.id, end: new Date(Date.now() - 60000)});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.events.should.have.length(0);
+      should.not.exist(result.nextCursor);
+    });
+    it('fails to find events w/ an invalid limit', async () => {
+      for(const limit of [0, -1, 1.5]) {
+        let error;
+        try {
+          await audit.find({accountId: uuid(), limit});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.should.be.instanceOf(TypeError);
+      }
+    });
+  });
+
+  describe('audit.add() API', () => {
+    it('throws if the event cannot be recorded', async () => {
+      const collection = database.collections['profile-audit'];
+      database.collections['profile-audit'] = {
+        async insertOne() {
+          throw new Error('insert failed');
+        }
+      };
+      let error;
+      try {
+        await audit.add({type: 'profile.created', profileId: uuid()});
+      } catch(e) {
+        error = e;
+      } finally {
+        database.collections['profile-audit'] = collection;
+      }
+      should.exist(error);
+      error.name.should.equal('OperationError');
+      error.cause.message.should.equal('insert failed');
+    });
+    it('records events for public APIs w/o audit options', async () => {
+      const {keys} = getAppIdentity();
+      const invocationSigner = keys.capabilityInvocationKey.signer();
+      const {id: meterId} = await helpers.createMeter({type: 'webkms'});
+      const accountId = uuid();
+      const {profileAgent} = await profileAgents.create({
+        keystoreOptions: {
+          meterId,
+          meterCapabilityInvocationSigner: invocationSigner
+        },
+        accountId, profileId: `did:example:${uuid()}`, store: true
+      });
+      // internal audit options are not accepted by the public API
+      await profileAgents.remove({id: profileAgent.id, _auditType: null});
+
+      const {events} = await audit.find({accountId});
+      events.map(({type}) => type).should.eql(
+        ['profileAgent.created', 'profileAgent.removed']);
+    });
+  });
+});
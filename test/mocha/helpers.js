@@ -47,6 +47,18 @@ export async function createMeter({type}) {
   return {id: `${meterService}/${id}`};
 }
 
+export async function getMeter({id}) {
+  const {keys} = getAppIdentity();
+  const invocationSigner = keys.capabilityInvocationKey.signer();
+  const zcapClient = new ZcapClient({
+    agent,
+    invocationSigner,
+    SuiteClass: Ed25519Signature2020
+  });
+  const {data: {meter}} = await zcapClient.read({url: id});
+  return meter;
+}
+
 export async function getEdvConfig({edvClient, profileSigner} = {}) {
   return edvClient.getConfig({invocationSigner: profileSigner});
 }
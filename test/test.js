@@ -2,6 +2,7 @@
  * Copyright (c) 2020-2022 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import {didIo} from '@bedrock/did-io';
 import {handlers} from '@bedrock/meter-http';
 import '@bedrock/ssm-mongodb';
 import '@bedrock/kms';
@@ -36,5 +37,38 @@ bedrock.events.on('bedrock.init', async () => {
   handlers.setUseHandler({handler: ({meter} = {}) => ({meter})});
 });
 
+/* Resolve the DIDs of test profiles created using `did:web` (under the
+`/profiles` path of the test server) and using the `did:example` method that
+is registered by the tests. Each of these DIDs ends with the multibase-encoded
+public key of the profile's key, so its DID document is derived from the
+equivalent `did:key` DID document. */
+bedrock.events.on('bedrock-express.configure.routes', app => {
+  app.get('/profiles/:publicKeyMultibase/did.json', async (req, res, next) => {
+    try {
+      const {host} = new URL(bedrock.config.server.baseUri);
+      const did = `did:web:${encodeURIComponent(host)}:profiles:` +
+        req.params.publicKeyMultibase;
+      res.json(await _getDidDocument({did}));
+    } catch(e) {
+      next(e);
+    }
+  });
+});
+
+didIo.use({
+  method: 'example',
+  async get({did, url} = {}) {
+    return _getDidDocument({did: did || url});
+  }
+});
+
+async function _getDidDocument({did}) {
+  const [id, fragment] = did.split('#');
+  const didKey = `did:key:${id.slice(id.lastIndexOf(':') + 1)}`;
+  const doc = await didIo.get(
+    {did: fragment ? `${didKey}#${fragment}` : didKey});
+  return JSON.parse(JSON.stringify(doc).replaceAll(didKey, id));
+}
+
 import '@bedrock/test';
 bedrock.start();